@@ -0,0 +1,29 @@
+// Application configuration, loaded once from the environment (and .env) and validated
+// against config/schema.js. Requiring it with a broken environment throws a ConfigError,
+// so the server fails at startup instead of on the first request that needs a setting.
+require('dotenv').config();
+const { loadConfig } = require('./schema');
+
+/**
+ * @typedef {Object} Config
+ * @property {'development'|'test'|'production'} env
+ * @property {boolean} isProduction
+ * @property {number} port
+ * @property {string} mongodbUri
+ * @property {string} frontendUrl
+ * @property {string} currency
+ * @property {{ jwtSecret: string, accessTokenTtl: string, refreshTokenTtlDays: number }} auth
+ * @property {{ secretKey?: string, publicKey?: string, webhookSecret?: string, currency: string, successUrl: string, cancelUrl: string }} stripe
+ * @property {{ storeId?: string, storePassword?: string, isLive: boolean, apiUrl: string, currency: string }} sslcommerz
+ * @property {{ taxRate: number, deliveryFee: number, freeDeliveryThreshold: number }} pricing
+ * @property {{ noShowDepositThreshold: number, noShowBlockThreshold: number, waitlistHoldMinutes: number }} reservations
+ * @property {{ partySize: number, occasions: string[], perGuest: number, refundCutoffHours: number }} deposits
+ * @property {{ transport: string, from: string, outboxDir?: string }} mail
+ * @property {{ channels: string[] }} notifier
+ * @property {{ enabled: boolean }} jobs
+ */
+
+/** @type {Config} */
+const config = loadConfig(process.env);
+
+module.exports = config;
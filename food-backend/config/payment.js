@@ -0,0 +1,13 @@
+const config = require('./index');
+
+// SSLCommerz settings, in the shape the gateway API expects
+module.exports = {
+  sslcommerz: {
+    store_id: config.sslcommerz.storeId,
+    store_passwd: config.sslcommerz.storePassword,
+    is_live: config.sslcommerz.isLive,
+    api_url: config.sslcommerz.apiUrl,
+    currency: config.sslcommerz.currency
+  },
+  frontend_url: config.frontendUrl
+};
@@ -0,0 +1,192 @@
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Every setting the backend reads from the environment.
+ *
+ *   key       where the value ends up in the config object
+ *   env       the environment variable it is read from
+ *   type      string | url | number | integer | boolean | enum | list
+ *   default   used in every environment (a function receives the config built so far)
+ *   defaults  per-environment defaults, e.g. { development: ..., test: ... }
+ *   optional  true, or the environments in which the setting may be left unset
+ *
+ * A setting without a default that is not optional is required.
+ */
+const SCHEMA = [
+  { key: 'env', env: 'NODE_ENV', type: 'enum', values: ENVIRONMENTS, default: 'development' },
+  { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+  {
+    key: 'mongodbUri',
+    env: 'MONGODB_URI',
+    type: 'string',
+    pattern: /^mongodb(\+srv)?:\/\//,
+    defaults: {
+      development: 'mongodb://localhost:27017/food_delivery',
+      test: 'mongodb://localhost:27017/food_delivery_test'
+    }
+  },
+  { key: 'frontendUrl', env: 'FRONTEND_URL', type: 'url', defaults: { development: 'http://localhost:3000', test: 'http://localhost:3000' } },
+  { key: 'currency', env: 'CURRENCY', type: 'string', pattern: /^[a-z]{3}$/, lowercase: true, default: 'usd' },
+
+  // Authentication
+  { key: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'string', minLength: 16, defaults: { development: 'development-only-jwt-secret', test: 'test-only-jwt-secret' } },
+  { key: 'auth.accessTokenTtl', env: 'ACCESS_TOKEN_TTL', type: 'string', pattern: /^\d+[smhd]?$/, default: '15m' },
+  { key: 'auth.refreshTokenTtlDays', env: 'REFRESH_TOKEN_TTL_DAYS', type: 'number', min: 1, default: 30 },
+
+  // Stripe
+  { key: 'stripe.secretKey', env: 'STRIPE_SECRET_KEY', type: 'string', pattern: /^(sk|rk)_(test|live)_/, optional: ['development', 'test'] },
+  { key: 'stripe.publicKey', env: 'STRIPE_PUBLIC_KEY', type: 'string', pattern: /^pk_(test|live)_/, optional: true },
+  { key: 'stripe.webhookSecret', env: 'STRIPE_WEBHOOK_SECRET', type: 'string', pattern: /^whsec_/, optional: ['development', 'test'] },
+  { key: 'stripe.currency', env: 'STRIPE_CURRENCY', type: 'string', pattern: /^[a-z]{3}$/, lowercase: true, default: config => config.currency },
+  { key: 'stripe.successUrl', env: 'STRIPE_SUCCESS_URL', type: 'url', default: config => config.frontendUrl && `${config.frontendUrl}/payment-success` },
+  { key: 'stripe.cancelUrl', env: 'STRIPE_CANCEL_URL', type: 'url', default: config => config.frontendUrl && `${config.frontendUrl}/checkout` },
+
+  // SSLCommerz
+  { key: 'sslcommerz.storeId', env: 'SSLCOMMERZ_STORE_ID', type: 'string', optional: ['development', 'test'] },
+  { key: 'sslcommerz.storePassword', env: 'SSLCOMMERZ_STORE_PASSWORD', type: 'string', optional: ['development', 'test'] },
+  { key: 'sslcommerz.isLive', env: 'SSLCOMMERZ_IS_LIVE', type: 'boolean', defaults: { development: false, test: false, production: true } },
+  // Point at the local mock gateway (scripts/mockSslcommerz.js) to test without SSLCommerz
+  { key: 'sslcommerz.apiUrl', env: 'SSLCOMMERZ_API_URL', type: 'url', default: config => (config.sslcommerz.isLive ? 'https://securepay.sslcommerz.com' : 'https://sandbox.sslcommerz.com') },
+  { key: 'sslcommerz.currency', env: 'SSLCOMMERZ_CURRENCY', type: 'string', pattern: /^[A-Z]{3}$/, default: 'BDT' },
+
+  // Order pricing
+  { key: 'pricing.taxRate', env: 'TAX_RATE', type: 'number', min: 0, max: 1, default: 0.05 },
+  { key: 'pricing.deliveryFee', env: 'DELIVERY_FEE', type: 'number', min: 0, default: 2.99 },
+  { key: 'pricing.freeDeliveryThreshold', env: 'FREE_DELIVERY_THRESHOLD', type: 'number', min: 0, default: 50 },
+
+  // Reservations
+  { key: 'reservations.noShowDepositThreshold', env: 'NO_SHOW_DEPOSIT_THRESHOLD', type: 'integer', min: 1, default: 2 },
+  { key: 'reservations.noShowBlockThreshold', env: 'NO_SHOW_BLOCK_THRESHOLD', type: 'integer', min: 1, default: 4 },
+  { key: 'reservations.waitlistHoldMinutes', env: 'WAITLIST_HOLD_MINUTES', type: 'number', min: 1, default: 60 },
+  { key: 'deposits.partySize', env: 'DEPOSIT_PARTY_SIZE', type: 'integer', min: 1, default: 8 },
+  { key: 'deposits.occasions', env: 'DEPOSIT_OCCASIONS', type: 'list', default: ['birthday', 'anniversary'] },
+  { key: 'deposits.perGuest', env: 'DEPOSIT_PER_GUEST', type: 'number', min: 0, default: 10 },
+  { key: 'deposits.refundCutoffHours', env: 'DEPOSIT_REFUND_CUTOFF_HOURS', type: 'number', min: 0, default: 24 },
+  { key: 'deposits.paymentHours', env: 'DEPOSIT_PAYMENT_HOURS', type: 'number', min: 1, default: 24 },
+
+  // Mail and notifications
+  // Checked against the registered transports and channels on startup (utils/mailer.js, utils/notifier.js)
+  { key: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'string', default: 'console' },
+  { key: 'mail.from', env: 'MAIL_FROM', type: 'string', default: 'Food App <no-reply@foodapp.local>' },
+  { key: 'mail.outboxDir', env: 'MAIL_OUTBOX_DIR', type: 'string', optional: true },
+  { key: 'notifier.channels', env: 'NOTIFIER_CHANNELS', type: 'list', default: ['email'] },
+
+  // Background jobs
+  { key: 'jobs.enabled', env: 'JOBS_ENABLED', type: 'boolean', default: true }
+];
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// Turn a raw environment string into a typed value; returns an error message when it does not fit
+const parseValue = (setting, raw) => {
+  const value = raw.trim();
+
+  switch (setting.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) return { error: 'must be a number' };
+      if (setting.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+      if (setting.min !== undefined && number < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && number > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value: number };
+    }
+    case 'boolean': {
+      const flag = BOOLEANS[value.toLowerCase()];
+      return flag === undefined ? { error: 'must be true or false' } : { value: flag };
+    }
+    case 'enum':
+      return setting.values.includes(value) ? { value } : { error: `must be one of ${setting.values.join(', ')}` };
+    case 'list':
+      return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'url':
+      try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+        return { value: value.replace(/\/+$/, '') };
+      } catch (error) {
+        return { error: 'must be a valid URL' };
+      }
+    default: {
+      const string = setting.lowercase ? value.toLowerCase() : value;
+      if (string === '') return { error: 'must not be empty' };
+      if (setting.minLength && string.length < setting.minLength) return { error: `must be at least ${setting.minLength} characters long` };
+      if (setting.pattern && !setting.pattern.test(string)) return { error: `has an invalid format (expected ${setting.pattern})` };
+      return { value: string };
+    }
+  }
+};
+
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, target);
+  parent[last] = value;
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+};
+
+/**
+ * Build the config object from environment variables, checking every setting against the schema.
+ * Throws a ConfigError listing every problem at once.
+ */
+const loadConfig = (env = process.env) => {
+  const config = {};
+  const errors = [];
+  const environment = ENVIRONMENTS.includes(env.NODE_ENV) ? env.NODE_ENV : 'development';
+
+  SCHEMA.forEach(setting => {
+    const raw = env[setting.env];
+
+    if (raw !== undefined && raw.trim() !== '') {
+      const { value, error } = parseValue(setting, raw);
+      if (error) errors.push(`${setting.env} ${error}`);
+      setPath(config, setting.key, value);
+      return;
+    }
+
+    const fallback = setting.defaults && environment in setting.defaults
+      ? setting.defaults[environment]
+      : setting.default;
+    const value = typeof fallback === 'function' ? fallback(config) : fallback;
+
+    // A setting derived from another one is only reported through that one
+    const optional = setting.optional === true
+      || (Array.isArray(setting.optional) && setting.optional.includes(environment))
+      || typeof fallback === 'function';
+    if (value === undefined && !optional) {
+      errors.push(`${setting.env} is required in ${environment}`);
+    }
+    setPath(config, setting.key, value);
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  config.isProduction = config.env === 'production';
+  return deepFreeze(config);
+};
+
+module.exports = {
+  ENVIRONMENTS,
+  SCHEMA,
+  ConfigError,
+  loadConfig
+};
@@ -0,0 +1,11 @@
+const config = require('./index');
+
+// Stripe settings used by the payment routes and providers
+module.exports = {
+  secretKey: config.stripe.secretKey,
+  publicKey: config.stripe.publicKey,
+  webhookSecret: config.stripe.webhookSecret,
+  currency: config.stripe.currency,
+  successUrl: config.stripe.successUrl,
+  cancelUrl: config.stripe.cancelUrl
+};
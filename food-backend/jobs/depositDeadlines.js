@@ -0,0 +1,69 @@
+const Reservation = require('../models/Reservation');
+const { notify } = require('../utils/notifier');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { withReservationChangeLock } = require('../utils/reservationStatus');
+const { handleFreedCapacity } = require('../utils/waitlist');
+
+// Still waiting for a first payment: nothing has been paid that would need refunding
+const isUnpaid = (reservation) => reservation.status === 'pending'
+  && reservation.deposit.status === 'pending'
+  && !reservation.deposit.paidAt;
+
+const sendReleaseNotice = (reservation) => notify({
+  email: reservation.email,
+  phone: reservation.phone,
+  subject: 'Your reservation has been released',
+  message: `Hi ${reservation.name},\n\nThe deposit for your reservation for ${reservation.guests} on ${reservation.date.toDateString()} at ${reservation.time} was not paid in time, so the table has been released.\nYou are welcome to book again.`
+});
+
+// Cancel an unpaid reservation, unless the guest paid in the meantime
+const releaseReservation = (reservationId) => withReservationChangeLock(reservationId, async () => {
+  const reservation = await Reservation.findById(reservationId);
+  if (!reservation || !isUnpaid(reservation)) return null;
+
+  // A checkout that is already paid will confirm the reservation once its webhook arrives
+  const expired = await getPaymentProvider('stripe').expireReservationCheckout(reservation);
+  if (!expired) return null;
+
+  reservation.status = 'cancelled';
+  await reservation.save();
+  return reservation;
+});
+
+/**
+ * Release pending reservations whose deposit was not paid by its deadline, so they stop
+ * blocking their tables, and offer the tables to the waitlist. Reservations booked before
+ * deadlines were recorded are released once they start.
+ */
+const releaseUnpaidReservations = async (now = new Date()) => {
+  const overdue = await Reservation.find({
+    status: 'pending',
+    'deposit.status': 'pending',
+    'deposit.paidAt': null,
+    $or: [
+      { 'deposit.payBy': { $lt: now } },
+      { 'deposit.payBy': null, startAt: { $lt: now } }
+    ]
+  }).select('_id');
+
+  for (const { _id } of overdue) {
+    try {
+      const released = await releaseReservation(_id);
+      if (!released) continue;
+
+      try {
+        await sendReleaseNotice(released);
+      } catch (notifyError) {
+        console.error(`Error sending release notice for reservation ${released._id}:`, notifyError);
+      }
+      await handleFreedCapacity(released.date);
+    } catch (error) {
+      // Let the next run try again
+      console.error(`Error releasing unpaid reservation ${_id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  releaseUnpaidReservations
+};
@@ -0,0 +1,49 @@
+const config = require('../config');
+const { registerJob, startScheduler } = require('./scheduler');
+const { sendReservationReminders } = require('./reservationReminders');
+const { releaseUnpaidReservations } = require('./depositDeadlines');
+const { expireStalePromotions, expirePastEntries, promoteFromWaitlist } = require('../utils/waitlist');
+
+const MINUTE = 60 * 1000;
+
+registerJob({
+  name: 'reservation-reminders',
+  intervalMs: 5 * MINUTE,
+  run: () => sendReservationReminders()
+});
+
+// Release reservations whose deposit was not paid in time
+registerJob({
+  name: 'deposit-deadlines',
+  intervalMs: 5 * MINUTE,
+  run: () => releaseUnpaidReservations()
+});
+
+// Release unconfirmed waitlist offers and offer the tables to the next guests,
+// and expire entries whose time window has passed without a table
+registerJob({
+  name: 'waitlist-expiry',
+  intervalMs: MINUTE,
+  run: async () => {
+    await expirePastEntries();
+
+    const dates = await expireStalePromotions();
+    const uniqueDates = [...new Set(dates.map(date => new Date(date).getTime()))];
+    for (const time of uniqueDates) {
+      await promoteFromWaitlist(new Date(time));
+    }
+  }
+});
+
+// Start the background jobs unless disabled (e.g. on serverless deployments)
+const startJobs = () => {
+  if (!config.jobs.enabled) {
+    console.log('Background jobs are disabled');
+    return;
+  }
+  startScheduler();
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,56 @@
+const Reservation = require('../models/Reservation');
+const { notify } = require('../utils/notifier');
+
+const HOUR = 60 * 60 * 1000;
+
+// Reminders sent before a reservation, from the earliest to the latest
+const REMINDERS = [
+  { field: 'dayBeforeSentAt', hoursBefore: 24, label: 'tomorrow' },
+  { field: 'twoHoursBeforeSentAt', hoursBefore: 2, label: 'in 2 hours' }
+];
+
+const sendReminder = (reservation, reminder) => notify({
+  email: reservation.email,
+  phone: reservation.phone,
+  subject: `Reminder: your table ${reminder.label}`,
+  message: `Hi ${reservation.name},\n\nThis is a reminder of your reservation for ${reservation.guests} on ${reservation.date.toDateString()} at ${reservation.time}.\nIf your plans have changed, please cancel or modify your reservation.`
+});
+
+/**
+ * Send the reminders that are due. Each reminder is claimed with a conditional update
+ * before sending, so a reservation never gets the same reminder twice.
+ */
+const sendReservationReminders = async (now = new Date()) => {
+  for (const reminder of REMINDERS) {
+    const due = await Reservation.find({
+      status: { $in: ['pending', 'confirmed'] },
+      startAt: { $gt: now, $lte: new Date(now.getTime() + reminder.hoursBefore * HOUR) },
+      [`reminders.${reminder.field}`]: null
+    });
+
+    for (const reservation of due) {
+      // The day-before reminder is pointless once the 2-hour one is due
+      const later = REMINDERS.find(r => r.hoursBefore < reminder.hoursBefore);
+      if (later && reservation.startAt - now <= later.hoursBefore * HOUR) continue;
+
+      const claimed = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, [`reminders.${reminder.field}`]: null },
+        { [`reminders.${reminder.field}`]: now },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await sendReminder(claimed, reminder);
+      } catch (error) {
+        // Let the next run try again
+        await Reservation.updateOne({ _id: claimed._id }, { [`reminders.${reminder.field}`]: null });
+        console.error(`Error sending reminder for reservation ${claimed._id}:`, error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  sendReservationReminders
+};
@@ -0,0 +1,65 @@
+// Minimal interval-based job runner. A job never overlaps with its own previous run.
+const jobs = new Map();
+
+// Register a job: { name, intervalMs, run }
+const registerJob = ({ name, intervalMs, run }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+// Run a job once now (skipped if it is still running)
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for the jobs
+    job.timer.unref();
+    console.log(`Scheduled job ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Status of every job, for monitoring
+const getJobStatus = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatus
+};
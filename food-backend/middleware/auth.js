@@ -1,7 +1,11 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/User');
+const { isAdminRole } = require('../utils/permissions');
+const { isAccessTokenRevoked } = require('../utils/tokens');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -10,30 +14,44 @@ module.exports = (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
+    let decoded;
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      if (!decoded.userId) {
-        return res.status(401).json({ message: 'Invalid token structure' });
-      }
-
-      // Convert string ID to MongoDB ObjectId
-      const userId = new mongoose.Types.ObjectId(decoded.userId);
-
-      // Add user from payload
-      req.user = {
-        ...decoded,
-        userId: userId
-      };
-      
-      next();
+      decoded = jwt.verify(token, config.auth.jwtSecret);
     } catch (jwtError) {
       console.error('JWT Verification Error:', jwtError);
       return res.status(401).json({ message: 'Token is not valid', error: jwtError.message });
     }
+
+    if (!decoded.userId) {
+      return res.status(401).json({ message: 'Invalid token structure' });
+    }
+
+    // Reject tokens revoked on logout
+    if (await isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Reject tokens issued before a logout from all devices or a password change
+    const user = await User.findById(decoded.userId).select('role tokenVersion');
+    if (!user || user.tokenVersion !== (decoded.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Session has expired, please log in again' });
+    }
+
+    // Convert string ID to MongoDB ObjectId
+    const userId = new mongoose.Types.ObjectId(decoded.userId);
+
+    // Add user from payload
+    req.user = {
+      ...decoded,
+      userId: userId,
+      role: user.role,
+      isAdmin: isAdminRole(user.role)
+    };
+    
+    next();
   } catch (error) {
     console.error('Auth Middleware Error:', error);
     res.status(500).json({ message: 'Server error in auth middleware', error: error.message });
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,10 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Allow the request only if the user's role grants one of the given permissions.
+// Must run after the auth middleware.
+module.exports = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.some(permission => hasPermission(req.user.role, permission))) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
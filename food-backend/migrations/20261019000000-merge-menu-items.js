@@ -0,0 +1,62 @@
+/**
+ * Move dishes from the old `menuitems` collection (the removed MenuItem model)
+ * into `menus`, filling in the defaults of the fields only Menu has.
+ * Documents keep their ids, so anything that referenced them still resolves.
+ */
+const MENU_DEFAULTS = {
+  rating: 0,
+  reviews: [],
+  isFeatured: false,
+  preparationTime: 30,
+  spicyLevel: 'medium',
+  allergens: [],
+  isVegetarian: false,
+  tags: [],
+  optionGroups: []
+};
+
+// The fields MenuItem had, used to put moved dishes back on rollback
+const MENU_ITEM_FIELDS = ['_id', 'name', 'details', 'description', 'price', 'category', 'image', 'isAvailable', 'createdAt'];
+
+const pick = (doc, fields) => fields.reduce((acc, field) => {
+  if (doc[field] !== undefined) acc[field] = doc[field];
+  return acc;
+}, {});
+
+module.exports = {
+  description: 'Move MenuItem documents into the Menu collection',
+
+  up: async ({ db }) => {
+    const menuItems = await db.collection('menuitems').find().toArray();
+    if (menuItems.length === 0) {
+      return { movedIds: [] };
+    }
+
+    const now = new Date();
+    const dishes = menuItems.map(item => ({
+      ...MENU_DEFAULTS,
+      ...pick(item, MENU_ITEM_FIELDS),
+      isAvailable: item.isAvailable !== false,
+      createdAt: item.createdAt || now,
+      updatedAt: now,
+      __v: 0
+    }));
+
+    await db.collection('menus').insertMany(dishes);
+    const movedIds = dishes.map(dish => dish._id);
+    await db.collection('menuitems').deleteMany({ _id: { $in: movedIds } });
+
+    return { movedIds };
+  },
+
+  down: async ({ db, state }) => {
+    const movedIds = state?.movedIds || [];
+    if (movedIds.length === 0) return;
+
+    const dishes = await db.collection('menus').find({ _id: { $in: movedIds } }).toArray();
+    if (dishes.length > 0) {
+      await db.collection('menuitems').insertMany(dishes.map(dish => ({ ...pick(dish, MENU_ITEM_FIELDS), __v: 0 })));
+    }
+    await db.collection('menus').deleteMany({ _id: { $in: movedIds } });
+  }
+};
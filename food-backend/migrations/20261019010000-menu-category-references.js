@@ -0,0 +1,104 @@
+/**
+ * Replace the hardcoded category names on dishes with references to Category documents.
+ * Creates a category for each of the former enum values, and for any other name found
+ * on a dish, then points every dish at its category. Coupons keep scoping by slug.
+ */
+const FORMER_CATEGORIES = [
+  { slug: 'pasta', name: 'Pasta' },
+  { slug: 'burger', name: 'Burger' },
+  { slug: 'soup', name: 'Soup' },
+  { slug: 'chicken', name: 'Chicken' },
+  { slug: 'pizza', name: 'Pizza' },
+  { slug: 'icecream', name: 'Ice Cream' },
+  { slug: 'kebab', name: 'Kebab' }
+];
+
+// Same rule as Category's slugs, copied so the migration does not depend on the model
+const slugify = (value) => value.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const toName = (value) => value.trim().charAt(0).toUpperCase() + value.trim().slice(1);
+
+module.exports = {
+  description: 'Turn Menu.category into a reference to the new Category collection',
+
+  up: async ({ db }) => {
+    const categories = db.collection('categories');
+    const menus = db.collection('menus');
+
+    const usedValues = await menus.distinct('category', { category: { $type: 'string' } });
+    const wanted = [...FORMER_CATEGORIES];
+    usedValues.forEach(value => {
+      const slug = slugify(value);
+      if (slug && !wanted.some(category => category.slug === slug)) {
+        wanted.push({ slug, name: toName(value) });
+      }
+    });
+
+    // Categories that already exist (e.g. created by the seed command) are reused
+    const existing = await categories.find({ slug: { $in: wanted.map(category => category.slug) } }).toArray();
+    const idBySlug = new Map(existing.map(category => [category.slug, category._id]));
+
+    const now = new Date();
+    const missing = wanted
+      .filter(category => !idBySlug.has(category.slug))
+      .map(category => ({
+        name: category.name,
+        slug: category.slug,
+        displayOrder: wanted.indexOf(category),
+        isActive: true,
+        parent: null,
+        createdAt: now,
+        updatedAt: now,
+        __v: 0
+      }));
+
+    const createdIds = [];
+    if (missing.length > 0) {
+      const result = await categories.insertMany(missing);
+      missing.forEach((category, index) => {
+        idBySlug.set(category.slug, result.insertedIds[index]);
+        createdIds.push(result.insertedIds[index]);
+      });
+    }
+
+    // Remember which dishes had which name, so a rollback only touches those
+    const converted = [];
+    for (const value of usedValues) {
+      const categoryId = idBySlug.get(slugify(value));
+      if (!categoryId) continue;
+
+      const dishIds = await menus.distinct('_id', { category: value });
+      await menus.updateMany({ _id: { $in: dishIds } }, { $set: { category: categoryId } });
+      converted.push({ value, categoryId, dishIds });
+    }
+
+    return { createdIds, converted };
+  },
+
+  down: async ({ db, state }) => {
+    const createdIds = state?.createdIds || [];
+
+    if (state?.converted) {
+      // Dishes moved to another category since then keep it
+      for (const { value, categoryId, dishIds } of state.converted) {
+        await db.collection('menus').updateMany(
+          { _id: { $in: dishIds }, category: categoryId },
+          { $set: { category: value } }
+        );
+      }
+    } else if (createdIds.length > 0) {
+      // Applied before the converted dishes were recorded: only undo the categories it created
+      const categories = await db.collection('categories').find({ _id: { $in: createdIds } }).toArray();
+      for (const category of categories) {
+        await db.collection('menus').updateMany(
+          { category: category._id },
+          { $set: { category: category.slug } }
+        );
+      }
+    }
+
+    if (createdIds.length > 0) {
+      await db.collection('categories').deleteMany({ _id: { $in: createdIds } });
+    }
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Give every category the kitchen station its dishes are prepared at, replacing the station
+ * map that was keyed by the former category enum, and copy it onto existing order lines,
+ * which now keep the station they were ordered for.
+ */
+const FORMER_STATIONS = {
+  pizza: 'pizza-oven',
+  burger: 'grill',
+  kebab: 'grill',
+  chicken: 'fryer',
+  pasta: 'stove',
+  soup: 'stove',
+  icecream: 'dessert'
+};
+
+const DEFAULT_STATION = 'expo';
+
+module.exports = {
+  description: 'Add a kitchen station to categories and order lines',
+
+  up: async ({ db }) => {
+    const categories = await db.collection('categories')
+      .find({ station: { $exists: false } })
+      .toArray();
+
+    // Remember which orders got a station on which lines, so a rollback only touches those
+    const backfilled = [];
+    for (const category of categories) {
+      const station = FORMER_STATIONS[category.slug] || DEFAULT_STATION;
+      await db.collection('categories').updateOne({ _id: category._id }, { $set: { station } });
+
+      const orderIds = await db.collection('orders').distinct('_id', {
+        items: { $elemMatch: { category: category.slug, station: { $exists: false } } }
+      });
+      if (orderIds.length === 0) continue;
+
+      await db.collection('orders').updateMany(
+        { _id: { $in: orderIds } },
+        { $set: { 'items.$[item].station': station } },
+        { arrayFilters: [{ 'item.category': category.slug, 'item.station': { $exists: false } }] }
+      );
+      backfilled.push({ slug: category.slug, station, orderIds });
+    }
+
+    return { categoryIds: categories.map(category => category._id), backfilled };
+  },
+
+  down: async ({ db, state }) => {
+    const categoryIds = state?.categoryIds || [];
+
+    let backfilled = state?.backfilled;
+    if (!backfilled) {
+      // Applied before the backfilled orders were recorded: undo the lines of its categories only
+      const categories = await db.collection('categories').find({ _id: { $in: categoryIds } }).toArray();
+      backfilled = categories.map(category => ({ slug: category.slug, station: category.station }));
+    }
+
+    for (const { slug, station, orderIds } of backfilled) {
+      await db.collection('orders').updateMany(
+        orderIds ? { _id: { $in: orderIds } } : { 'items.category': slug },
+        { $unset: { 'items.$[item].station': '' } },
+        { arrayFilters: [{ 'item.category': slug, 'item.station': station }] }
+      );
+    }
+
+    if (categoryIds.length > 0) {
+      await db.collection('categories').updateMany({ _id: { $in: categoryIds } }, { $unset: { station: '' } });
+    }
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Give reservations made before seating windows were stored a startAt and endAt, taken from
+ * their date and time in the restaurant's time zone plus the party's turn time. Table
+ * availability only looks at these fields, so without them older bookings would not block
+ * their tables.
+ */
+const { parseTime, toDateTime, getTurnTime } = require('../utils/schedule');
+
+// Turn times of the default schedule, used when no schedule has been saved yet
+const DEFAULT_TURN_TIMES = [
+  { maxGuests: 2, minutes: 90 },
+  { maxGuests: 4, minutes: 105 },
+  { maxGuests: 8, minutes: 120 },
+  { maxGuests: 20, minutes: 150 }
+];
+
+module.exports = {
+  description: 'Fill in startAt and endAt on reservations that only have a date and time',
+
+  up: async ({ db }) => {
+    const schedule = await db.collection('restaurantschedules').findOne();
+    const timeZone = schedule?.timezone || 'UTC';
+    const turnTimes = schedule?.turnTimes?.length ? schedule.turnTimes : DEFAULT_TURN_TIMES;
+
+    const reservations = await db.collection('reservations')
+      .find({ startAt: { $exists: false }, date: { $type: 'date' } })
+      .toArray();
+
+    const filledIds = [];
+    for (const reservation of reservations) {
+      const minutes = parseTime(reservation.time);
+      if (minutes === null) continue;
+
+      const startAt = toDateTime(reservation.date, minutes, timeZone);
+      const endAt = new Date(startAt.getTime() + getTurnTime({ turnTimes }, reservation.guests) * 60 * 1000);
+      await db.collection('reservations').updateOne({ _id: reservation._id }, { $set: { startAt, endAt } });
+      filledIds.push(reservation._id);
+    }
+
+    return { filledIds };
+  },
+
+  down: async ({ db, state }) => {
+    const filledIds = state?.filledIds || [];
+    if (filledIds.length === 0) return;
+
+    await db.collection('reservations').updateMany({ _id: { $in: filledIds } }, { $unset: { startAt: '', endAt: '' } });
+  }
+};
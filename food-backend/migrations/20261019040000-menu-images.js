@@ -0,0 +1,57 @@
+/**
+ * Bring the images of existing dishes in line with the Menu image validator, which was only
+ * checked on new saves: stray whitespace is trimmed, protocol-relative and `www.` URLs get
+ * https, and bare or relative file names are served from /images/. Images that cannot be
+ * repaired are reported and left alone, so staff can replace them.
+ */
+
+// Same rule as the image validator in models/Menu.js
+const isValidImage = (image) => typeof image === 'string'
+  && (image.startsWith('http') || image.startsWith('data:image') || image.startsWith('/images/'));
+
+const IMAGE_FILE = /^[\w.-]+\.(png|jpe?g|gif|webp|svg)$/i;
+
+// A valid form of the image, or null when there is no telling what it should be
+const normalizeImage = (image) => {
+  if (typeof image !== 'string') return null;
+
+  const trimmed = image.trim();
+  if (isValidImage(trimmed)) return trimmed;
+  if (trimmed.startsWith('//')) return `https:${trimmed}`;
+  if (trimmed.startsWith('www.')) return `https://${trimmed}`;
+  if (trimmed.startsWith('images/')) return `/${trimmed}`;
+  if (IMAGE_FILE.test(trimmed)) return `/images/${trimmed}`;
+  return null;
+};
+
+module.exports = {
+  description: 'Normalise the images of existing dishes',
+
+  up: async ({ db }) => {
+    const dishes = await db.collection('menus').find({}, { projection: { name: 1, image: 1 } }).toArray();
+
+    const changed = [];
+    const invalidIds = [];
+    for (const dish of dishes) {
+      if (isValidImage(dish.image) && dish.image === dish.image.trim()) continue;
+
+      const image = normalizeImage(dish.image);
+      if (!image) {
+        invalidIds.push(dish._id);
+        console.warn(`Dish ${dish._id} (${dish.name}) has an image that cannot be repaired: ${JSON.stringify(dish.image)}`);
+        continue;
+      }
+
+      await db.collection('menus').updateOne({ _id: dish._id }, { $set: { image } });
+      changed.push({ _id: dish._id, image: dish.image });
+    }
+
+    return { changed, invalidIds };
+  },
+
+  down: async ({ db, state }) => {
+    for (const { _id, image } of state?.changed || []) {
+      await db.collection('menus').updateOne({ _id }, { $set: { image } });
+    }
+  }
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { KITCHEN_STATIONS, DEFAULT_STATION } = require('../utils/kitchen');
+
+// Turn a category name into its URL slug, e.g. "Ice Cream" -> "ice-cream"
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stable identifier used in URLs, coupon scopes and order snapshots
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  image: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        // Same rule as dish images: a URL, base64 data or a bundled image
+        return !v || v.startsWith('http') || v.startsWith('data:image') || v.startsWith('/images/');
+      },
+      message: props => `${props.value} is not a valid image URL or base64 data!`
+    }
+  },
+  // Kitchen display station that prepares the category's dishes
+  station: {
+    type: String,
+    enum: KITCHEN_STATIONS,
+    default: DEFAULT_STATION
+  },
+  // Categories are listed by display order, then by name
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set for subcategories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+categorySchema.index({ parent: 1, displayOrder: 1 });
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed', 'free-delivery']
+  },
+  // Percentage (0-100) or fixed amount; unused for free delivery
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Limit the discount to these categories (by slug) and/or dishes (empty means the whole order)
+  categories: [{
+    type: String
+  }],
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Menu'
+  }],
+  // Total redemptions allowed (null means unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.path('value').validate(function(value) {
+  return this.type !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  // Reversed redemptions (e.g. cancelled orders) no longer count towards the limits
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Leases taken by utils/lock.js; the unique key lets only one holder exist across server instances
+const lockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Random id of the holder, so only it can release the lease
+  owner: {
+    type: String,
+    required: true
+  },
+  // A holder that crashed stops blocking others once its lease runs out
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up leases that were never released
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
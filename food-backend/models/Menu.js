@@ -1,5 +1,62 @@
 const mongoose = require('mongoose');
 
+// A choice within an option group, e.g. "Large" or "Extra cheese"
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A set of modifiers, variants or add-ons, e.g. "Size" or "Extras"
+const optionGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: options => options.length > 0,
+      message: 'An option group needs at least one option'
+    }
+  }
+});
+
+optionGroupSchema.pre('validate', function(next) {
+  if (this.required && this.minSelections < 1) {
+    this.minSelections = 1;
+  }
+  if (this.maxSelections < this.minSelections) {
+    this.invalidate('maxSelections', 'maxSelections cannot be lower than minSelections');
+  }
+  next();
+});
+
 const menuSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -22,13 +79,21 @@ const menuSchema = new mongoose.Schema({
     min: 0
   },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: true,
-    enum: ['pasta', 'burger', 'soup', 'chicken', 'pizza', 'icecream', 'kebab']
+    index: true
   },
   image: {
     type: String,
-    required: true
+    required: true,
+    validate: {
+      validator: function(v) {
+        // Check if it's a valid URL or base64 image
+        return v.startsWith('http') || v.startsWith('data:image') || v.startsWith('/images/');
+      },
+      message: props => `${props.value} is not a valid image URL or base64 data!`
+    }
   },
   rating: {
     type: Number,
@@ -99,7 +164,8 @@ const menuSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  optionGroups: [optionGroupSchema]
 }, {
   timestamps: true
 });
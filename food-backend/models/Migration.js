@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Data migrations that have been applied to this database, see utils/migrations.js
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Whatever `up` returned, handed back to `down` when the migration is rolled back
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
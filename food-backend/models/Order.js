@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, OrderStatusError, canTransition } = require('../utils/orderStatus');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { releaseCouponRedemption } = require('../utils/coupons');
+const { PAYMENT_METHODS, normalizePaymentMethod } = require('../utils/paymentMethods');
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -19,18 +23,98 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    lineTotal: {
+      type: Number,
+      required: true
+    },
     name: String,
-    image: String
+    image: String,
+    // Chosen modifiers, already included in the unit price
+    modifiers: [{
+      groupId: mongoose.Schema.Types.ObjectId,
+      group: String,
+      optionId: mongoose.Schema.Types.ObjectId,
+      option: String,
+      priceDelta: {
+        type: Number,
+        default: 0
+      }
+    }],
+    category: String, // category slug at the time of ordering
+    station: String, // kitchen station of that category at the time of ordering
+    preparationTime: Number, // in minutes
+    bumpedAt: {
+      type: Date,
+      default: null
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0
+    }
   }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  // Discount taken off the items by a coupon
+  discount: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    code: String,
+    type: {
+      type: String
+    },
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    }
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true
+    },
+    from: {
+      type: String,
+      enum: ORDER_STATUSES
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   deliveryAddress: {
     street: String,
     city: String,
@@ -39,17 +123,84 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
+    enum: PAYMENT_METHODS,
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'],
     default: 'pending'
   },
   transactionId: {
     type: String,
     default: null
   },
+  // Stripe payment intent, used to match refunds and disputes to the order
+  paymentIntentId: {
+    type: String,
+    default: null
+  },
+  // Cash on delivery: the rider who collected the money
+  cashCollectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cashCollectedAt: {
+    type: Date
+  },
+  // SSLCommerz bank transaction, needed for refunds
+  bankTransactionId: {
+    type: String,
+    default: null
+  },
+  paymentError: {
+    type: String,
+    default: null
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    // Empty for refunds by amount
+    items: [{
+      item: mongoose.Schema.Types.ObjectId,
+      name: String,
+      quantity: Number,
+      amount: Number
+    }],
+    provider: String,
+    providerRefundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  dispute: {
+    disputeId: String,
+    reason: String,
+    amount: Number,
+    status: String,
+    openedAt: Date,
+    closedAt: Date
+  },
+  promisedAt: {
+    type: Date
+  },
   specialInstructions: {
     type: String,
     default: ''
@@ -60,4 +211,76 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
+// Record the initial status when an order is first created
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: mongoose.Types.ObjectId.isValid(this.user) ? this.user : undefined,
+      note: 'Order placed'
+    });
+  }
+  next();
+});
+
+// Store payment methods under their canonical name (older orders may say `card` or `cash`)
+orderSchema.pre('validate', function(next) {
+  if (this.paymentMethod) {
+    this.paymentMethod = normalizePaymentMethod(this.paymentMethod) || this.paymentMethod;
+  }
+  next();
+});
+
+// Remember what changed so it can be broadcast once the save succeeds
+orderSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  this.$locals.paymentStatusChanged = !this.isNew && this.isModified('paymentStatus');
+  next();
+});
+
+// Broadcast order changes to the live tracking streams
+orderSchema.post('save', function(order) {
+  if (order.$locals.wasNew) {
+    publishOrderEvent('order.created', order);
+  }
+  if (order.$locals.statusChanged) {
+    const lastChange = order.statusHistory[order.statusHistory.length - 1];
+    publishOrderEvent('order.status', order, {
+      previousStatus: lastChange?.from,
+      note: lastChange?.note
+    });
+  }
+  if (order.$locals.paymentStatusChanged) {
+    publishOrderEvent('order.payment', order);
+  }
+});
+
+// Give the coupon use back when an order is cancelled
+orderSchema.post('save', async function(order) {
+  if (order.$locals.statusChanged && order.status === 'cancelled' && order.coupon?.code) {
+    try {
+      await releaseCouponRedemption(order._id);
+    } catch (error) {
+      console.error(`Error releasing coupon for order ${order._id}:`, error);
+    }
+  }
+});
+
+// Move the order to a new status, rejecting illegal transitions
+orderSchema.methods.transitionTo = function(status, { actor, note } = {}) {
+  if (!canTransition(this.status, status)) {
+    throw new OrderStatusError(this.status, status);
+  }
+
+  this.statusHistory.push({
+    status,
+    from: this.status,
+    actor,
+    note
+  });
+  this.status = status;
+  return this;
+};
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { RESERVATION_STATUSES } = require('../utils/reservationStatus');
 
 const reservationSchema = new mongoose.Schema({
   user: {
@@ -29,6 +30,14 @@ const reservationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // The table is blocked from startAt until endAt (start time plus turn time)
+  startAt: {
+    type: Date,
+    index: true
+  },
+  endAt: {
+    type: Date
+  },
   guests: {
     type: Number,
     required: true,
@@ -41,21 +50,126 @@ const reservationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: RESERVATION_STATUSES,
     default: 'pending'
   },
+  seatedAt: Date,
+  completedAt: Date,
+  // Reminders already sent to the guest
+  reminders: {
+    dayBeforeSentAt: Date,
+    twoHoursBeforeSentAt: Date
+  },
+  // Deposit for large parties, special occasions or guests with no-shows.
+  // `status` tracks the online payment of the deposit plus any pre-order.
+  deposit: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['not-required', 'pending', 'paid', 'refunded', 'forfeited'],
+      default: 'not-required'
+    },
+    checkoutSessionId: String,
+    // First payment, which also covers any pre-order
+    paymentIntentId: String,
+    paidAt: Date,
+    // Deposit paid so far; when the party grows the guest pays the rest of `amount` separately
+    paidAmount: Number,
+    payments: [{
+      paymentIntentId: String,
+      amount: Number,
+      paidAt: Date,
+      refundId: String
+    }],
+    refundId: String,
+    refundedAt: Date,
+    // A deposit that is still unpaid by then releases the reservation
+    payBy: Date
+  },
+  // Dishes ordered ahead, priced on the server and paid with the deposit
+  preOrder: {
+    items: [{
+      menuItem: String,
+      name: String,
+      quantity: Number,
+      price: Number,
+      lineTotal: Number,
+      modifiers: [{
+        group: String,
+        option: String,
+        priceDelta: Number
+      }]
+    }],
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Primary table, kept for clients that only show one table
   tableNumber: {
     type: Number
   },
+  // All tables assigned to the party (several when tables are combined)
+  tables: [{
+    type: Number
+  }],
   occasion: {
     type: String,
     enum: ['birthday', 'anniversary', 'business', 'other'],
     required: true
   },
+  // Set when the reservation was created from the waitlist
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry'
+  },
+  // Promoted reservations are released unless the guest confirms before this time
+  confirmationDeadline: {
+    type: Date
+  },
+  guestConfirmedAt: {
+    type: Date
+  },
+  // Chargeback opened by the guest's bank on a deposit payment
+  dispute: {
+    disputeId: String,
+    reason: String,
+    amount: Number,
+    status: String,
+    openedAt: Date,
+    closedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Amount the guest still pays online before the reservation is confirmed
+reservationSchema.virtual('amountDue').get(function() {
+  const deposit = this.deposit?.required ? this.deposit.amount - (this.deposit.paidAmount || 0) : 0;
+  // The pre-order is paid with the first payment
+  const preOrder = this.deposit?.paidAt ? 0 : this.preOrder?.total || 0;
+  return Math.round((deposit + preOrder) * 100) / 100;
+});
+
+reservationSchema.set('toJSON', { virtuals: true });
+reservationSchema.set('toObject', { virtuals: true });
+
 module.exports = mongoose.model('Reservation', reservationSchema); 
\ No newline at end of file
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const hoursSchema = {
+  open: {
+    type: String,
+    match: timePattern
+  },
+  // At or before `open` means closing after midnight, e.g. "00:00"
+  close: {
+    type: String,
+    match: timePattern
+  }
+};
+
+// Single document holding the restaurant's opening hours and reservation rules
+const restaurantScheduleSchema = new mongoose.Schema({
+  // IANA time zone the opening hours are given in, e.g. "Asia/Dhaka"
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  // One entry per opening period; a day may have several (e.g. lunch and dinner)
+  weeklyHours: [{
+    day: {
+      type: Number,
+      required: true,
+      min: 0, // Sunday
+      max: 6
+    },
+    ...hoursSchema
+  }],
+  // Days the restaurant is closed (holidays)
+  closures: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    reason: String
+  }],
+  // Days with different opening hours; these replace the weekly hours
+  specialHours: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    ...hoursSchema,
+    note: String
+  }],
+  // Minutes between bookable times
+  slotInterval: {
+    type: Number,
+    default: 30,
+    min: 5
+  },
+  // Latest seating, in minutes before closing
+  lastSeatingBeforeClose: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  // How long a table is blocked, by party size (first entry whose maxGuests fits)
+  turnTimes: [{
+    maxGuests: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    minutes: {
+      type: Number,
+      required: true,
+      min: 15
+    }
+  }],
+  // Bookings must be made at least this many minutes ahead
+  minAdvanceMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  maxAdvanceDays: {
+    type: Number,
+    default: 90,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+const DEFAULT_SCHEDULE = {
+  weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '11:00', close: '22:00' })),
+  closures: [],
+  specialHours: [],
+  turnTimes: [
+    { maxGuests: 2, minutes: 90 },
+    { maxGuests: 4, minutes: 105 },
+    { maxGuests: 8, minutes: 120 },
+    { maxGuests: 20, minutes: 150 }
+  ]
+};
+
+// Get the schedule, creating the default one on first use
+restaurantScheduleSchema.statics.getCurrent = async function() {
+  const schedule = await this.findOne();
+  return schedule || this.create(DEFAULT_SCHEDULE);
+};
+
+module.exports = mongoose.model('RestaurantSchedule', restaurantScheduleSchema);
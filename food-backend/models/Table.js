@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const tableSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  seats: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  area: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'main'
+  },
+  // Whether the table can be pushed together with other tables in the same area
+  combinable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Table', tableSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -31,8 +33,27 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
+  },
+  // Reservations the user did not turn up for
+  noShowCount: {
+    type: Number,
+    default: 0
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Hashes of the single-use tokens sent by email
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  // Incremented to invalidate every token issued before (logout everywhere, password change)
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -41,6 +62,11 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // A new password signs the user out of every existing session
+  if (!this.isNew) {
+    this.tokenVersion += 1;
+  }
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -56,6 +82,33 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use token; only its hash is stored on the user
+const createEmailToken = (user, field, expiresInMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user[field] = crypto.createHash('sha256').update(token).digest('hex');
+  user[`${field.replace(/Token$/, '')}Expires`] = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Method to create an email verification token (valid for 24 hours)
+userSchema.methods.createEmailVerificationToken = function() {
+  return createEmailToken(this, 'emailVerificationToken', 24 * 60);
+};
+
+// Method to create a password reset token (valid for 1 hour)
+userSchema.methods.createPasswordResetToken = function() {
+  return createEmailToken(this, 'passwordResetToken', 60);
+};
+
+// Find the user that owns an unexpired token of the given kind
+userSchema.statics.findByEmailToken = function(field, token) {
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return this.findOne({
+    [field]: tokenHash,
+    [`${field.replace(/Token$/, '')}Expires`]: { $gt: new Date() }
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
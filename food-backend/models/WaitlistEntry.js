@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Any time between these ("HH:mm") suits the guest
+  windowStart: {
+    type: String,
+    required: true
+  },
+  windowEnd: {
+    type: String,
+    required: true
+  },
+  guests: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 20
+  },
+  occasion: {
+    type: String,
+    enum: ['birthday', 'anniversary', 'business', 'other'],
+    required: true
+  },
+  specialRequests: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The reservation created when a table freed up
+  promotedReservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  promotedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+waitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
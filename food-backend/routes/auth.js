@@ -1,8 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const config = require('../config');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PROTECTED_ROLES,
+  hasPermission,
+  isAdminRole
+} = require('../utils/permissions');
+const {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+
+const frontendUrl = () => config.frontendUrl;
+
+// Email the user a link to verify their address
+const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.fullName},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.fullName},</p><p>Please <a href="${link}">verify your email address</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+// Email the user a link to choose a new password
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName},\n\nYou can choose a new password here:\n${link}\n\nThe link expires in 1 hour. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${user.fullName},</p><p>You can <a href="${link}">choose a new password</a>.</p><p>The link expires in 1 hour. If you did not ask for a reset, you can ignore this email.</p>`
+  });
+};
 
 // Register route
 router.post('/register', async (req, res) => {
@@ -24,18 +65,21 @@ router.post('/register', async (req, res) => {
       address
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         fullName: user.fullName,
@@ -67,19 +111,12 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token with isAdmin flag
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        isAdmin: user.role === 'admin'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         fullName: user.fullName,
@@ -87,7 +124,7 @@ router.post('/login', async (req, res) => {
         phone: user.phone,
         address: user.address,
         role: user.role,
-        isAdmin: user.role === 'admin'
+        isAdmin: isAdminRole(user.role)
       }
     });
   } catch (error) {
@@ -98,7 +135,8 @@ router.post('/login', async (req, res) => {
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    const user = await User.findById(req.user.userId)
+      .select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -141,17 +179,187 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
-// Logout route
+// Verify email address with the token sent on registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await User.findByEmailToken('emailVerificationToken', token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+});
+
+// Send a new verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Respond the same way whether or not the account exists
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+});
+
+// Reset password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findByEmailToken('passwordResetToken', token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Saving the new password also signs the user out of every session
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // The reset link proves the user owns the address
+    user.isEmailVerified = true;
+    await user.save();
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+});
+
+// Change password for the logged in user
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    // Saving the new password signs the user out everywhere, so issue fresh tokens for this device
+    user.password = newPassword;
+    await user.save();
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const { user, ...tokens } = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        isAdmin: isAdminRole(user.role)
+      }
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+});
+
+// Logout route (revokes the current access token and the given refresh token)
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a real application, you might want to invalidate the token
-    // For now, we'll just send a success message
+    await revokeAccessToken(req.user);
+    await revokeRefreshToken(req.body.refreshToken, req.user.userId);
+
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error logging out', error: error.message });
   }
 });
 
+// Logout from all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out from all devices successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
 // Get user stats (count)
 router.get('/stats', async (req, res) => {
   try {
@@ -162,15 +370,60 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Make user admin (super admin only)
-router.post('/make-admin', auth, async (req, res) => {
+// Change a user's role, enforcing who may grant which role
+const assignRole = async (requester, user, role) => {
+  if (!ROLES.includes(role)) {
+    return { status: 400, message: `Invalid role. Valid roles: ${ROLES.join(', ')}` };
+  }
+
+  if (user._id.equals(requester.userId)) {
+    return { status: 400, message: 'You cannot change your own role' };
+  }
+
+  if ((PROTECTED_ROLES.includes(role) || PROTECTED_ROLES.includes(user.role)) && !hasPermission(requester.role, '*')) {
+    return { status: 403, message: 'Only a super admin can grant or revoke this role' };
+  }
+
+  user.role = role;
+  await user.save();
+  return null;
+};
+
+// List roles and their permissions
+router.get('/roles', auth, requirePermission('roles:read'), (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// Assign a role to a user
+router.put('/users/:id/role', auth, requirePermission('roles:assign'), async (req, res) => {
   try {
-    // Check if the requesting user is a super admin
-    const requestingUser = await User.findById(req.user.userId);
-    if (!requestingUser || requestingUser.role !== 'admin') {
-      return res.status(403).json({ message: 'Only existing admins can create new admins' });
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const error = await assignRole(req.user, user, role);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
+    res.json({
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating role', error: error.message });
+  }
+});
+
+// Make user admin
+router.post('/make-admin', auth, requirePermission('roles:assign'), async (req, res) => {
+  try {
     const { email } = req.body;
     if (!email) {
       return res.status(400).json({ message: 'Email is required' });
@@ -183,8 +436,10 @@ router.post('/make-admin', auth, async (req, res) => {
     }
 
     // Update user role to admin
-    user.role = 'admin';
-    await user.save();
+    const error = await assignRole(req.user, user, 'admin');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
     res.json({ 
       message: 'User has been made admin successfully',
@@ -203,7 +458,7 @@ router.post('/make-admin', auth, async (req, res) => {
 router.post('/create-first-admin', async (req, res) => {
   try {
     // Check if any admin exists
-    const adminExists = await User.findOne({ role: 'admin' });
+    const adminExists = await User.findOne({ role: { $in: ['admin', 'super-admin'] } });
     if (adminExists) {
       return res.status(400).json({ message: 'Admin already exists. Use make-admin route instead.' });
     }
@@ -228,24 +483,17 @@ router.post('/create-first-admin', async (req, res) => {
       password,
       phone,
       address,
-      role: 'admin'
+      role: 'super-admin'
     });
 
     await admin.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: admin._id,
-        isAdmin: true
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(admin, req);
 
     res.status(201).json({
       message: 'First admin created successfully',
-      token,
+      ...tokens,
       user: {
         id: admin._id,
         fullName: admin.fullName,
@@ -268,7 +516,8 @@ router.get('/verify', auth, async (req, res) => {
     }
 
     res.json({
-      isAdmin: user.role === 'admin',
+      isAdmin: isAdminRole(user.role),
+      permissions: ROLE_PERMISSIONS[user.role] || [],
       user: {
         id: user._id,
         email: user.email,
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Menu = require('../models/Menu');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { CategoryError, findCategory, checkParent } = require('../utils/categories');
+
+const CATEGORY_SORT = { displayOrder: 1, name: 1 };
+
+// Fields an admin may set on a category
+const pickCategoryFields = (body) => ['name', 'slug', 'image', 'station', 'displayOrder', 'isActive', 'parent']
+  .filter(field => body[field] !== undefined)
+  .reduce((acc, field) => ({ ...acc, [field]: body[field] }), {});
+
+const sendCategoryError = (res, error, action) => {
+  if (error instanceof CategoryError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Category validation failed', errors: error.errors });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A category with this slug already exists' });
+  }
+  res.status(500).json({ message: `Error ${action} category`, error: error.message });
+};
+
+// Get active categories, e.g. for the menu filters
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true }).sort(CATEGORY_SORT);
+    res.json(categories);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching categories', error: error.message });
+  }
+});
+
+// Get every category, including inactive ones (Admin only)
+router.get('/admin', auth, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const categories = await Category.find().sort(CATEGORY_SORT);
+    res.json(categories);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching categories', error: error.message });
+  }
+});
+
+// Get a category by id or slug, with its active subcategories
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const subcategories = await Category.find({ parent: category._id, isActive: true }).sort(CATEGORY_SORT);
+    res.json({ ...category.toObject(), subcategories });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching category', error: error.message });
+  }
+});
+
+// Add a category (Admin only)
+router.post('/', auth, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+    fields.parent = await checkParent(null, fields.parent);
+
+    const category = new Category(fields);
+    await category.save();
+    res.status(201).json(category);
+  } catch (error) {
+    sendCategoryError(res, error, 'creating');
+  }
+});
+
+// Update a category (Admin only)
+router.put('/:id', auth, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (fields.parent !== undefined) {
+      fields.parent = await checkParent(category._id, fields.parent);
+    }
+
+    category.set(fields);
+    await category.save();
+    res.json(category);
+  } catch (error) {
+    sendCategoryError(res, error, 'updating');
+  }
+});
+
+// Remove a category that no dish or subcategory uses anymore (Admin only)
+router.delete('/:id', auth, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [dishCount, subcategoryCount] = await Promise.all([
+      Menu.countDocuments({ category: category._id }),
+      Category.countDocuments({ parent: category._id })
+    ]);
+    if (dishCount > 0 || subcategoryCount > 0) {
+      return res.status(409).json({
+        message: 'Move its dishes and subcategories elsewhere, or deactivate the category instead',
+        dishCount,
+        subcategoryCount
+      });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    sendCategoryError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Get all coupons
+router.get('/', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching coupons', error: error.message });
+  }
+});
+
+// Create a coupon
+router.post('/', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { usedCount, ...fields } = req.body;
+    const coupon = new Coupon(fields);
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Coupon validation failed', errors: error.errors });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(500).json({ message: 'Error creating coupon', error: error.message });
+  }
+});
+
+// Update a coupon
+router.put('/:id', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { usedCount, ...fields } = req.body;
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    // Save the document rather than running update validators, so rules that compare
+    // fields (a percentage value may not exceed 100) see the merged coupon
+    coupon.set(fields);
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Coupon validation failed', errors: error.errors });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(500).json({ message: 'Error updating coupon', error: error.message });
+  }
+});
+
+// Deactivate a coupon (redemptions keep pointing at it)
+router.delete('/:id', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon deactivated successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deactivating coupon', error: error.message });
+  }
+});
+
+module.exports = router;
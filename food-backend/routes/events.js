@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const User = require('../models/User');
+const { subscribeToOrderEvents } = require('../utils/orderEvents');
+const { isAccessTokenRevoked } = require('../utils/tokens');
+
+// Keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25000;
+
+// How often an open stream checks that its token is still valid
+const SESSION_CHECK_INTERVAL = 60000;
+
+// EventSource cannot send headers, so also accept the JWT as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// The token a stream was opened with must not have expired, been revoked or been signed out since
+const isSessionValid = async (session) => {
+  if (session.exp && session.exp * 1000 <= Date.now()) return false;
+  if (await isAccessTokenRevoked(session.jti)) return false;
+
+  const user = await User.findById(session.userId).select('tokenVersion');
+  return Boolean(user) && user.tokenVersion === (session.tokenVersion || 0);
+};
+
+// Open a Server-Sent Events stream that forwards the order events accepted by `filter`
+const openOrderStream = (req, res, filter) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeToOrderEvents((event) => {
+    if (!filter(event)) return;
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  const cleanUp = () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    unsubscribe();
+  };
+
+  // Close the stream once the session ends; the client has to reconnect with a fresh token
+  const sessionCheck = setInterval(async () => {
+    try {
+      if (await isSessionValid(req.user)) return;
+      res.write('event: session-expired\ndata: {}\n\n');
+    } catch (error) {
+      console.error('Error checking event stream session:', error);
+    }
+    cleanUp();
+    res.end();
+  }, SESSION_CHECK_INTERVAL);
+
+  req.on('close', cleanUp);
+};
+
+/**
+ * @route   GET api/events/orders
+ * @desc    Stream status and payment updates for the current user's orders
+ * @access  Private
+ */
+router.get('/orders', tokenFromQuery, auth, (req, res) => {
+  const userId = req.user.userId.toString();
+  const orderId = req.query.orderId;
+
+  openOrderStream(req, res, (event) =>
+    event.user === userId && (!orderId || event.orderId === orderId)
+  );
+});
+
+/**
+ * @route   GET api/events/orders/all
+ * @desc    Stream updates for every order
+ * @access  Staff
+ */
+router.get('/orders/all', tokenFromQuery, auth, requirePermission('orders:read'), (req, res) => {
+  openOrderStream(req, res, () => true);
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const {
+  KITCHEN_STATIONS,
+  KITCHEN_ORDER_STATUSES,
+  stationForItem,
+  buildTickets,
+  groupByStation
+} = require('../utils/kitchen');
+const { OrderStatusError, withOrderLock } = require('../utils/orderStatus');
+const { LockError } = require('../utils/lock');
+
+// Load the tickets for all active kitchen orders
+const loadTickets = async (includeBumped) => {
+  const orders = await Order.find({ status: { $in: KITCHEN_ORDER_STATUSES } })
+    .sort({ promisedAt: 1, createdAt: 1 });
+  const tickets = buildTickets(orders);
+  return includeBumped ? tickets : tickets.filter(ticket => !ticket.bumpedAt);
+};
+
+// Find the order behind a ticket and the items that belong to its station
+const findTicketOrder = async (req, res) => {
+  const { orderId, station } = req.params;
+
+  if (!KITCHEN_STATIONS.includes(station)) {
+    res.status(404).json({ message: 'Station not found' });
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order || !KITCHEN_ORDER_STATUSES.includes(order.status)) {
+    res.status(404).json({ message: 'Ticket not found' });
+    return null;
+  }
+
+  const items = order.items.filter(item => stationForItem(item) === station);
+  if (items.length === 0) {
+    res.status(404).json({ message: 'Ticket not found' });
+    return null;
+  }
+
+  return { order, items };
+};
+
+/**
+ * @route   GET api/kitchen/stations
+ * @desc    Get the ticket queue of every station, ordered by promised time
+ * @access  Kitchen staff
+ */
+router.get('/stations', auth, requirePermission('kitchen:read'), async (req, res) => {
+  try {
+    const tickets = await loadTickets(req.query.includeBumped === 'true');
+    res.json(groupByStation(tickets));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching kitchen queues', error: error.message });
+  }
+});
+
+/**
+ * @route   GET api/kitchen/stations/:station
+ * @desc    Get the ticket queue of a single station
+ * @access  Kitchen staff
+ */
+router.get('/stations/:station', auth, requirePermission('kitchen:read'), async (req, res) => {
+  try {
+    const { station } = req.params;
+    if (!KITCHEN_STATIONS.includes(station)) {
+      return res.status(404).json({ message: 'Station not found' });
+    }
+
+    const tickets = await loadTickets(req.query.includeBumped === 'true');
+    res.json(groupByStation(tickets).find(queue => queue.station === station));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching kitchen queue', error: error.message });
+  }
+});
+
+/**
+ * @route   POST api/kitchen/tickets/:orderId/:station/bump
+ * @desc    Mark a station's ticket as done. The order is ready once every ticket is bumped.
+ * @access  Kitchen staff
+ */
+router.post('/tickets/:orderId/:station/bump', auth, requirePermission('kitchen:update'), async (req, res) => {
+  try {
+    // Stations bump under the order lock, so the last bump always sees the others
+    await withOrderLock(req.params.orderId, async () => {
+      const ticket = await findTicketOrder(req, res);
+      if (!ticket) return;
+      const { order, items } = ticket;
+
+      if (items.every(item => item.bumpedAt)) {
+        return res.status(400).json({ message: 'Ticket is already bumped' });
+      }
+
+      const now = new Date();
+      items.forEach(item => { item.bumpedAt = now; });
+
+      // The first bump means the kitchen has started on the order
+      if (order.status === 'confirmed') {
+        order.transitionTo('preparing', { actor: req.user.userId, note: 'Started by kitchen' });
+      }
+      if (order.items.every(item => item.bumpedAt)) {
+        order.transitionTo('ready', { actor: req.user.userId, note: 'All kitchen tickets bumped' });
+      }
+
+      await order.save();
+      res.json(buildTickets([order]).find(t => t.station === req.params.station));
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error bumping ticket', error: error.message });
+  }
+});
+
+/**
+ * @route   POST api/kitchen/tickets/:orderId/:station/recall
+ * @desc    Bring a bumped ticket back onto the station's queue
+ * @access  Kitchen staff
+ */
+router.post('/tickets/:orderId/:station/recall', auth, requirePermission('kitchen:update'), async (req, res) => {
+  try {
+    await withOrderLock(req.params.orderId, async () => {
+      const ticket = await findTicketOrder(req, res);
+      if (!ticket) return;
+      const { order, items } = ticket;
+
+      if (!items.some(item => item.bumpedAt)) {
+        return res.status(400).json({ message: 'Ticket has not been bumped' });
+      }
+
+      items.forEach(item => { item.bumpedAt = null; });
+
+      if (order.status === 'ready') {
+        order.transitionTo('preparing', { actor: req.user.userId, note: `Ticket recalled at ${req.params.station}` });
+      }
+
+      await order.save();
+      res.json(buildTickets([order]).find(t => t.station === req.params.station));
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recalling ticket', error: error.message });
+  }
+});
+
+module.exports = router;
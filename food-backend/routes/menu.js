@@ -1,219 +1,163 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Menu = require('../models/Menu');
+const Category = require('../models/Category');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { roundMoney } = require('../utils/pricing');
+const { CategoryError, resolveCategoryId, getCategoryTreeIds } = require('../utils/categories');
+const { PRICE_BUCKETS, MAX_QUERY_LENGTH, searchMenu, findMatchingDishIds, suggest } = require('../utils/menuSearch');
+const { PaginationError, paginate } = require('../utils/pagination');
 
-// Demo data for testing
-const demoMenuItems = [
-  {
-    _id: "m001",
-    name: "Cheese Burger",
-    description: "Delicious burger with cheese",
-    details: "Our classic burger with melted cheese, fresh lettuce, tomatoes, and special sauce",
-    price: 8.99,
-    category: "burger",
-    image: "/images/burger1.png",
-    isAvailable: true,
-    rating: 4.5,
-    preparationTime: 15,
-    isVegetarian: false
-  },
-  {
-    _id: "m002",
-    name: "Pepperoni Pizza",
-    description: "Classic pepperoni pizza",
-    details: "Hand-tossed pizza crust topped with tomato sauce, mozzarella cheese, and pepperoni slices",
-    price: 12.99,
-    category: "pizza",
-    image: "/images/pizza1.png",
-    isAvailable: true,
-    rating: 4.7,
-    preparationTime: 20,
-    isVegetarian: false
-  },
-  {
-    _id: "m003",
-    name: "Chicken Pasta",
-    description: "Creamy chicken pasta",
-    details: "Fettuccine pasta with creamy alfredo sauce and grilled chicken breast",
-    price: 10.99,
-    category: "pasta",
-    image: "/images/pasta.jpg",
-    isAvailable: true,
-    rating: 4.3,
-    preparationTime: 18,
-    isVegetarian: false
-  },
-  {
-    _id: "m004",
-    name: "Tomato Soup",
-    description: "Homemade tomato soup",
-    details: "Creamy tomato soup made with fresh tomatoes, herbs, and a touch of cream",
-    price: 5.99,
-    category: "soup",
-    image: "/images/soup.png",
-    isAvailable: true,
-    rating: 4.2,
-    preparationTime: 12,
-    isVegetarian: true
-  },
-  {
-    _id: "m005",
-    name: "Grilled Chicken",
-    description: "Perfectly grilled chicken",
-    details: "Tender grilled chicken breast seasoned with herbs and served with vegetables",
-    price: 14.99,
-    category: "chicken",
-    image: "/images/chicken.png",
-    isAvailable: true,
-    rating: 4.6,
-    preparationTime: 25,
-    isVegetarian: false
-  },
-  {
-    _id: "m006",
-    name: "Vanilla Ice Cream",
-    description: "Classic vanilla ice cream",
-    details: "Creamy vanilla ice cream topped with chocolate sauce",
-    price: 4.99,
-    category: "icecream",
-    image: "/images/icecream.jpg",
-    isAvailable: true,
-    rating: 4.1,
-    preparationTime: 5,
-    isVegetarian: true
+// Category fields included with every dish
+const CATEGORY_FIELDS = 'name slug';
+
+const MAX_SEARCH_LIMIT = 50;
+
+// Fields the menu can be sorted on
+const MENU_SORT_FIELDS = {
+  name: 'name',
+  price: 'price',
+  rating: 'rating',
+  preparationTime: 'preparationTime',
+  createdAt: 'createdAt'
+};
+
+// Turn search query parameters into filters for utils/menuSearch.js; returns an error message for bad input
+const parseSearchFilters = async (query) => {
+  const filters = {};
+
+  if (query.category && query.category !== 'all') {
+    filters.category = new Set((await getCategoryTreeIds(query.category)).map(String));
+  }
+
+  if (query.price) {
+    filters.price = PRICE_BUCKETS.find(bucket => bucket.key === query.price);
+    if (!filters.price) {
+      return { error: `price must be one of ${PRICE_BUCKETS.map(bucket => bucket.key).join(', ')}` };
+    }
   }
-];
+
+  for (const name of ['minPrice', 'maxPrice']) {
+    if (query[name] !== undefined) {
+      filters[name] = Number(query[name]);
+      if (!Number.isFinite(filters[name]) || filters[name] < 0) {
+        return { error: `${name} must be a positive number` };
+      }
+    }
+  }
+
+  for (const name of ['vegetarian', 'available']) {
+    if (query[name] !== undefined) {
+      if (!['true', 'false'].includes(query[name])) {
+        return { error: `${name} must be true or false` };
+      }
+      filters[name] = query[name] === 'true';
+    }
+  }
+
+  if (query.spicyLevel) {
+    filters.spicyLevel = String(query.spicyLevel);
+  }
+
+  if (query.excludeAllergens) {
+    filters.excludeAllergens = String(query.excludeAllergens).split(',').map(allergen => allergen.trim()).filter(Boolean);
+  }
+
+  return { filters };
+};
 
 // Define these routes BEFORE any other routes to avoid conflicts
 // Get menu stats for admin dashboard - NO auth check
-router.get('/stats', (req, res) => {
-  // Always return demo data for simplicity
-  res.json({ totalMenuItems: demoMenuItems.length });
+router.get('/stats', async (req, res) => {
+  try {
+    const [totals] = await Menu.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalMenuItems: { $sum: 1 },
+          availableMenuItems: { $sum: { $cond: ['$isAvailable', 1, 0] } },
+          featuredMenuItems: { $sum: { $cond: ['$isFeatured', 1, 0] } },
+          averagePrice: { $avg: '$price' }
+        }
+      }
+    ]);
+
+    res.json({
+      totalMenuItems: totals?.totalMenuItems || 0,
+      availableMenuItems: totals?.availableMenuItems || 0,
+      featuredMenuItems: totals?.featuredMenuItems || 0,
+      averagePrice: roundMoney(totals?.averagePrice || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching menu stats:', error);
+    res.status(500).json({ message: 'Error fetching menu stats' });
+  }
 });
 
 // Get category distribution for admin dashboard - NO auth check
-router.get('/category-stats', (req, res) => {
-  // Generate stats from demo data
-  const demoCategories = demoMenuItems.reduce((acc, item) => {
-    if (!acc[item.category]) acc[item.category] = 0;
-    acc[item.category]++;
-    return acc;
-  }, {});
-  
-  const result = Object.keys(demoCategories).map(category => ({
-    name: category.charAt(0).toUpperCase() + category.slice(1),
-    value: demoCategories[category]
-  }));
-  
-  res.json(result);
+router.get('/category-stats', async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ displayOrder: 1, name: 1 }).lean(),
+      Menu.aggregate([{ $group: { _id: '$category', value: { $sum: 1 } } }])
+    ]);
+    const countById = new Map(counts.map(({ _id: id, value }) => [String(id), value]));
+
+    // Inactive categories only show up while dishes still use them
+    res.json(categories
+      .map(category => ({ category, value: countById.get(String(category._id)) || 0 }))
+      .filter(({ category, value }) => category.isActive || value > 0)
+      .map(({ category, value }) => ({ name: category.name, slug: category.slug, value })));
+  } catch (error) {
+    console.error('Error fetching category stats:', error);
+    res.status(500).json({ message: 'Error fetching category stats' });
+  }
 });
 
-// Get menu items with filtering, sorting and pagination
+// Get menu items with filtering, sorting and pagination (see utils/pagination.js)
 router.get('/', async (req, res) => {
   try {
     const {
       category,
       search,
-      sort = 'name',
-      order = 'asc',
-      page = 1,
-      limit = 12,
       priceRange,
       availability
     } = req.query;
 
-    // Try to get real data first
-    let items = [];
-    
-    try {
-      // Build filter object
-      const filter = {};
-      
-      if (category && category !== 'all') {
-        filter.category = category;
-      }
-
-      if (search) {
-        filter.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ];
-      }
-
-      if (priceRange) {
-        const [min, max] = priceRange.split('-');
-        filter.price = { $gte: Number(min), $lte: Number(max) };
-      }
-
-      if (availability) {
-        filter.isAvailable = availability === 'true';
-      }
+    // Build filter object
+    const filter = {};
 
-      // Calculate skip for pagination
-      const skip = (Number(page) - 1) * Number(limit);
-
-      // Build sort object
-      const sortObj = {};
-      sortObj[sort] = order === 'asc' ? 1 : -1;
-
-      // Get menu items
-      items = await Menu.find(filter)
-        .sort(sortObj)
-        .skip(skip)
-        .limit(Number(limit));
+    // A category (id or slug) includes the dishes of its subcategories
+    if (category && category !== 'all') {
+      filter.category = { $in: await getCategoryTreeIds(category) };
+    }
 
-    } catch (err) {
-      console.log("Error fetching from database, using demo data:", err.message);
+    // Matched through the search index, never as a regular expression
+    if (search) {
+      filter._id = { $in: (await findMatchingDishIds(search)) || [] };
     }
 
-    // If no items from database, use demo data
-    if (items.length === 0) {
-      console.log("No items in database, using demo data");
-      
-      // Filter demo data based on request
-      let filteredDemoItems = [...demoMenuItems];
-      
-      if (category && category !== 'all') {
-        filteredDemoItems = filteredDemoItems.filter(item => item.category === category);
-      }
-      
-      if (search) {
-        const searchLower = search.toLowerCase();
-        filteredDemoItems = filteredDemoItems.filter(item => 
-          item.name.toLowerCase().includes(searchLower) || 
-          item.description.toLowerCase().includes(searchLower)
-        );
-      }
-      
-      // Sort demo data
-      filteredDemoItems.sort((a, b) => {
-        if (sort === 'name') {
-          return order === 'asc' 
-            ? a.name.localeCompare(b.name)
-            : b.name.localeCompare(a.name);
-        } else if (sort === 'price') {
-          return order === 'asc' ? a.price - b.price : b.price - a.price;
-        } else if (sort === 'rating') {
-          return order === 'asc' ? a.rating - b.rating : b.rating - a.rating;
-        }
-        return 0;
-      });
-      
-      items = filteredDemoItems;
+    if (priceRange) {
+      const [min, max] = priceRange.split('-');
+      filter.price = { $gte: Number(min), $lte: Number(max) };
     }
 
-    // For admin requests, return full array directly
-    // Check if this is an admin request (has authorization header)
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      // Return the full array for admin
-      return res.json(items);
+    if (availability) {
+      filter.isAvailable = availability === 'true';
     }
-    
-    // For regular user requests, return the array directly too
-    res.json(items);
+
+    res.json(await paginate(Menu, filter, req.query, {
+      sortFields: MENU_SORT_FIELDS,
+      defaultSort: 'name',
+      defaultLimit: 12,
+      populate: { path: 'category', select: CATEGORY_FIELDS }
+    }));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error fetching menu items:', error);
     res.status(500).json({ message: 'Error fetching menu items' });
   }
@@ -222,117 +166,117 @@ router.get('/', async (req, res) => {
 // Get featured menu items
 router.get('/featured', async (req, res) => {
   try {
-    // Try to get real featured items
-    let featuredItems = await Menu.find({ isFeatured: true })
+    const featuredItems = await Menu.find({ isFeatured: true })
+      .populate('category', CATEGORY_FIELDS)
       .limit(6)
       .sort('-rating');
-    
-    // If no items, use demo data
-    if (featuredItems.length === 0) {
-      featuredItems = demoMenuItems.slice(0, 3);
-    }
-    
+
     res.json(featuredItems);
   } catch (error) {
-    // Return demo data on error
-    console.log("Error fetching featured items, using demo data");
-    res.json(demoMenuItems.slice(0, 3));
+    console.error('Error fetching featured menu items:', error);
+    res.status(500).json({ message: 'Error fetching featured menu items' });
   }
 });
 
-// Search endpoint for menu items
+// Search menu items by relevance, with typo tolerance and facet counts
 router.get('/search', async (req, res) => {
   try {
-    const { query } = req.query;
-    
-    if (!query || query.trim() === '') {
-      return res.status(400).json({ message: 'Search query is required' });
+    // `query` is the parameter older clients send
+    const text = req.query.q ?? req.query.query ?? '';
+    if (typeof text !== 'string' || text.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ message: `Search query must be text of at most ${MAX_QUERY_LENGTH} characters` });
     }
 
-    // Try to get real data first
-    let searchResults = [];
-    
-    try {
-      // Search in database
-      searchResults = await Menu.find({
-        $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } }
-        ]
-      }).limit(10);
-    } catch (err) {
-      console.log("Error searching in database, using demo data:", err.message);
+    const { filters, error } = await parseSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // If no results from database, search in demo data
-    if (searchResults.length === 0) {
-      console.log("No search results in database, searching in demo data");
-      
-      const searchLower = query.toLowerCase();
-      searchResults = demoMenuItems.filter(item => 
-        item.name.toLowerCase().includes(searchLower) || 
-        item.description.toLowerCase().includes(searchLower)
-      );
-    }
-    
-    res.json(searchResults);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), MAX_SEARCH_LIMIT);
+
+    res.json(await searchMenu(text, { filters, page, limit }));
   } catch (error) {
     console.error('Error searching menu items:', error);
     res.status(500).json({ message: 'Error searching menu items' });
   }
 });
 
+// Autocomplete suggestions (dishes and categories) for a partly typed query
+router.get('/suggest', async (req, res) => {
+  try {
+    const text = req.query.q ?? '';
+    if (typeof text !== 'string' || text.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ message: `Search query must be text of at most ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), MAX_SEARCH_LIMIT);
+    res.json(await suggest(text, { limit }));
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ message: 'Error fetching search suggestions' });
+  }
+});
+
+// Get menu items for admin (simple array format)
+router.get('/admin', auth, requirePermission('menu:update'), async (req, res) => {
+  try {
+    const items = await Menu.find().populate('category', CATEGORY_FIELDS);
+    res.json(items);
+  } catch (error) {
+    console.error('Error fetching menu items for admin:', error);
+    res.status(500).json({ message: 'Error fetching menu items' });
+  }
+});
+
 // Get menu item by ID
 router.get('/:id', async (req, res) => {
   try {
-    const item = await Menu.findById(req.params.id);
-    
-    // If no item found, check demo data
+    const item = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Menu.findById(req.params.id).populate('category', CATEGORY_FIELDS)
+      : null;
+
     if (!item) {
-      const demoItem = demoMenuItems.find(item => item._id === req.params.id);
-      if (demoItem) {
-        return res.json(demoItem);
-      }
       return res.status(404).json({ message: 'Menu item not found' });
     }
     
     res.json(item);
   } catch (error) {
-    // Check if the ID exists in demo data
-    const demoItem = demoMenuItems.find(item => item._id === req.params.id);
-    if (demoItem) {
-      return res.json(demoItem);
-    }
+    console.error('Error fetching menu item:', error);
     res.status(500).json({ message: 'Error fetching menu item' });
   }
 });
 
 // Add new menu item (Admin only)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requirePermission('menu:create'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const newItem = new Menu(req.body);
+    const newItem = new Menu({ ...req.body, category: await resolveCategoryId(req.body.category) });
     await newItem.save();
     res.status(201).json(newItem);
   } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid menu item', error: error.message });
+    }
     res.status(500).json({ message: 'Error creating menu item' });
   }
 });
 
 // Update menu item (Admin only)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, requirePermission('menu:update'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    // The category may be given by id or slug
+    const update = { ...req.body };
+    if (update.category !== undefined) {
+      update.category = await resolveCategoryId(update.category);
     }
 
     const updatedItem = await Menu.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
-      { new: true }
+      { $set: update },
+      { new: true, runValidators: true }
     );
 
     if (!updatedItem) {
@@ -341,17 +285,19 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json(updatedItem);
   } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid menu item', error: error.message });
+    }
     res.status(500).json({ message: 'Error updating menu item' });
   }
 });
 
 // Delete menu item (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('menu:delete'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     const deletedItem = await Menu.findByIdAndDelete(req.params.id);
     if (!deletedItem) {
       return res.status(404).json({ message: 'Menu item not found' });
@@ -363,27 +309,4 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Get menu items for admin (simple array format)
-router.get('/admin', auth, async (req, res) => {
-  try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let items = await Menu.find();
-    
-    // If no items from database, use demo data
-    if (items.length === 0) {
-      console.log("No items in database, using demo data for admin");
-      items = demoMenuItems;
-    }
-    
-    // Return a simple array for admin panel
-    res.json(items);
-  } catch (error) {
-    console.error('Error fetching menu items for admin:', error);
-    res.status(500).json({ message: 'Error fetching menu items' });
-  }
-});
-
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,63 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../utils/permissions');
+const { priceOrder, PricingError } = require('../utils/pricing');
+const { CouponError, findValidCoupon, redeemCoupon, releaseCouponRedemption } = require('../utils/coupons');
+const { INACTIVE_ORDER_STATUSES, OrderStatusError, withOrderLock } = require('../utils/orderStatus');
+const { RefundError, refundOrder, refundCancelledOrder } = require('../utils/refunds');
+const { LockError } = require('../utils/lock');
+const { PAYMENT_METHODS, normalizePaymentMethod } = require('../utils/paymentMethods');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { PaginationError, paginate } = require('../utils/pagination');
+
+// Fields order lists can be sorted on
+const ORDER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  total: 'total',
+  status: 'status',
+  promisedAt: 'promisedAt'
+};
+
+// Statuses only a refund can set (POST /:id/refunds), so they always match the money paid back
+const REFUND_STATUSES = ['refunded', 'partially_refunded'];
+
+// Status changes that kitchen staff and riders may make without full order access
+const STATUS_PERMISSIONS = {
+  preparing: 'kitchen:update',
+  ready: 'kitchen:update',
+  'out-for-delivery': 'deliveries:update',
+  delivered: 'deliveries:update'
+};
+
+// Price items and apply an optional coupon code, turning pricing/coupon problems into responses
+const quote = async (req, res, items, couponCode) => {
+  try {
+    const coupon = couponCode ? await findValidCoupon(couponCode, req.user.userId) : null;
+    return { coupon, pricing: await priceOrder(items, { coupon }) };
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof CouponError) {
+      res.status(error.status).json({ message: error.message });
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Get a price breakdown for a cart, validating an optional coupon code
+router.post('/quote', auth, async (req, res) => {
+  try {
+    const { items, couponCode } = req.body;
+
+    const result = await quote(req, res, items, couponCode);
+    if (!result) return;
+
+    res.json(result.pricing);
+  } catch (error) {
+    res.status(500).json({ message: 'Error calculating quote', error: error.message });
+  }
+});
 
 // Create new order
 router.post('/', auth, async (req, res) => {
@@ -9,11 +66,11 @@ router.post('/', auth, async (req, res) => {
     console.log('Request body:', JSON.stringify(req.body, null, 2));
     console.log('Auth user:', req.user);
 
-    const { items, total, deliveryAddress, paymentMethod } = req.body;
+    const { items, deliveryAddress, specialInstructions, couponCode } = req.body;
+    const paymentMethod = normalizePaymentMethod(req.body.paymentMethod);
     
     // Detailed logging
     console.log('Items check:', !!items, Array.isArray(items), items?.length);
-    console.log('Total check:', typeof total, total);
     console.log('DeliveryAddress check:', deliveryAddress);
     console.log('PaymentMethod check:', paymentMethod);
     console.log('User check:', !!req.user, !!req.user?.userId);
@@ -23,27 +80,28 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'Items array is required and cannot be empty' });
     }
 
-    if (typeof total !== 'number' || total <= 0) {
-      return res.status(400).json({ message: 'Valid total amount is required' });
-    }
-
     if (!deliveryAddress || !deliveryAddress.street || !deliveryAddress.city || !deliveryAddress.state || !deliveryAddress.zipCode) {
       return res.status(400).json({ message: 'Complete delivery address is required' });
     }
 
     if (!paymentMethod) {
-      return res.status(400).json({ message: 'Payment method is required' });
+      return res.status(400).json({ message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
     }
 
     if (!req.user || !req.user.userId) {
       return res.status(401).json({ message: 'User ID is required' });
     }
 
+    // Price the order from the menu; any client supplied prices or total are ignored
+    const result = await quote(req, res, items, couponCode);
+    if (!result) return;
+    const { coupon, pricing } = result;
+
     // Log the data we're about to save
     console.log('Attempting to create order with:', {
       user: req.user.userId,
-      items: items,
-      total: total,
+      items: pricing.items,
+      total: pricing.total,
       deliveryAddress: deliveryAddress,
       paymentMethod: paymentMethod
     });
@@ -51,16 +109,18 @@ router.post('/', auth, async (req, res) => {
     // Create the order document
     const order = new Order({
       user: req.user.userId.toString(),
-      items: items.map(item => ({
-        menuItem: item.menuItem,
-        quantity: item.quantity,
-        price: item.price,
-        name: item.name,
-        image: item.image
-      })),
-      total,
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      coupon: pricing.coupon,
+      taxRate: pricing.taxRate,
+      tax: pricing.tax,
+      deliveryFee: pricing.deliveryFee,
+      total: pricing.total,
+      promisedAt: new Date(Date.now() + pricing.preparationTime * 60 * 1000),
       deliveryAddress,
       paymentMethod,
+      specialInstructions,
       status: 'pending'
     });
 
@@ -74,8 +134,30 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Save the order
-    const savedOrder = await order.save();
+    // Record the coupon use before saving so the usage limits cannot be exceeded
+    if (coupon) {
+      try {
+        await redeemCoupon(coupon, {
+          userId: req.user.userId,
+          orderId: order._id,
+          discount: pricing.discount + pricing.deliverySavings
+        });
+      } catch (couponError) {
+        if (couponError instanceof CouponError) {
+          return res.status(couponError.status).json({ message: couponError.message });
+        }
+        throw couponError;
+      }
+    }
+
+    // Save the order, giving the coupon use back if that fails
+    let savedOrder;
+    try {
+      savedOrder = await order.save();
+    } catch (saveError) {
+      if (coupon) await releaseCouponRedemption(order._id);
+      throw saveError;
+    }
     console.log('Order saved successfully:', savedOrder);
     res.status(201).json(savedOrder);
   } catch (error) {
@@ -93,18 +175,18 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// Get all orders (admin only)
-router.get('/', auth, async (req, res) => {
+// Get all orders (staff only), newest first unless `sort` says otherwise
+router.get('/', auth, requirePermission('orders:read'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const orders = await Order.find()
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
-    res.json(orders);
+    res.json(await paginate(Order, {}, req.query, {
+      sortFields: ORDER_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: { path: 'user', select: 'name email' }
+    }));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching orders', error: error.message });
   }
 });
@@ -112,29 +194,27 @@ router.get('/', auth, async (req, res) => {
 // Get user's orders
 router.get('/my-orders', auth, async (req, res) => {
   try {
-    console.log('Fetching orders for user:', req.user.userId);
-    const orders = await Order.find({ user: req.user.userId })
-      .populate('items.menuItem')
-      .sort({ createdAt: -1 });
-    console.log('Found orders:', orders);
-    res.json(orders);
+    res.json(await paginate(Order, { user: req.user.userId }, req.query, {
+      sortFields: ORDER_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: 'items.menuItem'
+    }));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error in /my-orders:', error);
     res.status(500).json({ message: 'Error fetching orders', error: error.message });
   }
 });
 
 // Get order stats (admin only)
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const totalOrders = await Order.countDocuments({ status: { $ne: 'cancelled' } });
+    const totalOrders = await Order.countDocuments({ status: { $nin: INACTIVE_ORDER_STATUSES } });
     const totalRevenue = await Order.aggregate([
       {
-        $match: { status: { $ne: 'cancelled' } }
+        $match: { status: { $nin: INACTIVE_ORDER_STATUSES } }
       },
       {
         $group: {
@@ -154,12 +234,8 @@ router.get('/stats', auth, async (req, res) => {
 });
 
 // Weekly sales stats (last 7 days)
-router.get('/weekly-sales', auth, async (req, res) => {
+router.get('/weekly-sales', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
     const today = new Date();
     const lastWeek = new Date();
     lastWeek.setDate(today.getDate() - 6);
@@ -169,7 +245,7 @@ router.get('/weekly-sales', auth, async (req, res) => {
         {
           $match: {
             createdAt: { $gte: new Date(lastWeek.setHours(0,0,0,0)), $lte: new Date(today.setHours(23,59,59,999)) },
-            status: { $ne: 'cancelled' }
+            status: { $nin: INACTIVE_ORDER_STATUSES }
           }
         },
         {
@@ -236,19 +312,19 @@ router.get('/weekly-sales', auth, async (req, res) => {
   }
 });
 
-// Get single order
+// Get single order (includes the status history timeline)
 router.get('/:id', auth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate('user', 'name email')
-      .populate('items.menuItem');
+      .populate('items.menuItem')
+      .populate('statusHistory.actor', 'fullName role');
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if user is admin or order owner
-    if (!req.user.isAdmin && order.user._id.toString() !== req.user._id.toString()) {
+    // Check if user is staff or order owner
+    if (!hasPermission(req.user.role, 'orders:read') && order.user !== req.user.userId.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -258,25 +334,52 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Update order status (admin only)
-router.put('/:id', auth, async (req, res) => {
+// Update order status (staff only)
+router.put('/:id', auth, requirePermission('orders:update', ...new Set(Object.values(STATUS_PERMISSIONS))), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    const { status, note } = req.body;
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
     }
 
-    const { status } = req.body;
-    const order = await Order.findById(req.params.id);
+    if (REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Refund the order to change it to this status' });
+    }
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    // Kitchen staff and riders may only move orders through their own steps
+    if (!hasPermission(req.user.role, 'orders:update') && !hasPermission(req.user.role, STATUS_PERMISSIONS[status])) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    order.status = status;
-    await order.save();
+    // Changes to one order run one at a time, so a cancellation cannot be refunded twice
+    await withOrderLock(req.params.id, async () => {
+      const order = await Order.findById(req.params.id);
 
-    res.json(order);
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      // Cash orders are delivered by confirming the cash collection
+      const paymentMethod = normalizePaymentMethod(order.paymentMethod);
+      if (status === 'delivered' && paymentMethod && getPaymentProvider(paymentMethod).collectsOnDelivery && order.paymentStatus !== 'completed') {
+        return res.status(400).json({ message: 'Confirm the cash collection to deliver this order' });
+      }
+
+      order.transitionTo(status, { actor: req.user.userId, note });
+      if (status === 'cancelled') {
+        await refundCancelledOrder(order, { reason: note, actor: req.user.userId });
+      }
+      await order.save();
+
+      res.json(order);
+    });
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({ message: error.message, allowed: error.allowed });
+    }
+    if (error instanceof RefundError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating order status', error: error.message });
   }
 });
@@ -284,31 +387,72 @@ router.put('/:id', auth, async (req, res) => {
 // Cancel order
 router.put('/:id/cancel', auth, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    await withOrderLock(req.params.id, async () => {
+      const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
 
-    // Check if user is admin or order owner
-    if (!req.user.isAdmin && order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+      // Check if user is staff or order owner
+      const isStaff = hasPermission(req.user.role, 'orders:cancel');
+      if (!isStaff && order.user !== req.user.userId.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
 
-    // Only allow cancellation if order is pending
-    if (order.status !== 'pending') {
-      return res.status(400).json({ message: 'Cannot cancel order in current status' });
-    }
+      // Customers can only cancel orders that are still pending
+      if (!isStaff && order.status !== 'pending') {
+        return res.status(400).json({ message: 'Cannot cancel order in current status' });
+      }
 
-    order.status = 'cancelled';
-    await order.save();
+      const note = req.body.reason || (isStaff ? 'Cancelled by staff' : 'Cancelled by customer');
+      order.transitionTo('cancelled', { actor: req.user.userId, note });
 
-    res.json(order);
+      // Paid orders are refunded first; if the refund fails the order stays as it was
+      await refundCancelledOrder(order, { reason: note, actor: req.user.userId });
+      await order.save();
+
+      res.json(order);
+    });
   } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.status).json({ message: 'Cannot cancel order in current status' });
+    }
+    if (error instanceof RefundError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error cancelling order', error: error.message });
   }
 });
 
+// Refund an order in full, by amount or by line items (admin only)
+router.post('/:id/refunds', auth, requirePermission('orders:refund'), async (req, res) => {
+  try {
+    const { amount, items, reason } = req.body;
+
+    // One refund per order at a time, so two refunds cannot both pass the balance check
+    const result = await withOrderLock(req.params.id, async () => {
+      const order = await Order.findById(req.params.id);
+      if (!order) return null;
+
+      const refund = await refundOrder(order, { amount, items, reason, actor: req.user.userId });
+      await order.save();
+      return { order, refund };
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof RefundError || error instanceof OrderStatusError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error refunding order', error: error.message });
+  }
+});
+
 // Delete order (only cancelled orders can be deleted)
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -318,8 +462,8 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if user is admin or order owner
-    if (!req.user.isAdmin && order.user.toString() !== req.user._id.toString()) {
+    // Check if user is staff or order owner
+    if (!hasPermission(req.user.role, 'orders:delete') && order.user !== req.user.userId.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -1,164 +1,155 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 const Order = require('../models/Order');
-const { v4: uuidv4 } = require('uuid');
+const Reservation = require('../models/Reservation');
 const paymentConfig = require('../config/payment');
-const stripeConfig = require('../config/stripe');
-const stripe = require('stripe')(stripeConfig.secretKey);
+const { normalizePaymentMethod } = require('../utils/paymentMethods');
+const { LockError } = require('../utils/lock');
+const { withOrderLock } = require('../utils/orderStatus');
+const { withReservationChangeLock } = require('../utils/reservationStatus');
+const {
+  PAYABLE_PAYMENT_STATUSES,
+  PaymentError,
+  findOrderByTransaction,
+  getPaymentProvider,
+  markOrderPaymentFailed
+} = require('../utils/paymentProviders');
 
-// SSLCommerz configuration
-const sslConfig = paymentConfig.sslcommerz;
+// Answer with the status of a provider error, or a 500 for anything unexpected
+const sendPaymentError = (res, error, message) => {
+  if (error instanceof PaymentError) {
+    return res.status(error.status).json({ success: false, message: error.message, details: error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message, error: error.message });
+};
+
+// Load an order the current user may pay for
+const findOwnOrder = async (req, res, orderId) => {
+  if (!orderId) {
+    res.status(400).json({ message: 'Order ID is required' });
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    res.status(404).json({ message: 'Order not found' });
+    return null;
+  }
+
+  if (order.user !== req.user.userId.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return order;
+};
+
+// Start paying an order with the given method. The amount is always taken from the
+// server-priced order, never from the client.
+const initiatePayment = (method) => async (req, res) => {
+  try {
+    const { orderId, customerInfo = {} } = req.body;
+
+    const order = await findOwnOrder(req, res, orderId);
+    if (!order) return;
+
+    if (!PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      return res.status(400).json({ message: 'Order is already paid for' });
+    }
+
+    const result = await getPaymentProvider(method).initiate(order, {
+      customerInfo,
+      callbackUrl: `${req.protocol}://${req.get('host')}/api/payment`
+    });
+
+    order.paymentMethod = method;
+    await order.save();
+
+    res.json({ success: true, paymentMethod: method, ...result });
+  } catch (error) {
+    sendPaymentError(res, error, 'Payment initialization error');
+  }
+};
+
+// Confirm a payment the customer says they made
+const verifyPaymentFor = (method) => async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res, req.body.orderId);
+    if (!order) return;
+
+    if (PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      await getPaymentProvider(method).verify(order, req.body);
+      await order.save();
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    sendPaymentError(res, error, 'Payment verification error');
+  }
+};
 
 /**
  * @route   POST api/payment/stripe/create-session
  * @desc    Create a Stripe checkout session
  * @access  Private
  */
-router.post('/stripe/create-session', auth, async (req, res) => {
+router.post('/stripe/create-session', auth, initiatePayment('stripe'));
+
+/**
+ * @route   POST api/payment/stripe/reservation-session
+ * @desc    Create a Stripe checkout session for a reservation deposit and pre-order
+ * @access  Private
+ */
+router.post('/stripe/reservation-session', auth, async (req, res) => {
   try {
-    console.log('Stripe create-session request received:', {
-      body: req.body,
-      user: req.user
-    });
-    
-    const { orderId, amount, customerInfo } = req.body;
-    
-    if (!orderId || !amount) {
-      console.log('Missing required parameters:', { orderId, amount });
-      return res.status(400).json({ message: 'Order ID and amount are required' });
-    }
-    
-    console.log('Looking for order with ID:', orderId);
-    
-    // Get order from database to verify amount and status
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      console.log('Order not found with ID:', orderId);
-      return res.status(404).json({ message: 'Order not found' });
-    }
-    
-    console.log('Order found:', {
-      id: order._id,
-      total: order.total,
-      paymentStatus: order.paymentStatus,
-      itemsCount: order.items.length
-    });
-    
-    if (order.paymentStatus === 'completed') {
-      return res.status(400).json({ message: 'Order is already paid for' });
+    const { reservationId } = req.body;
+
+    if (!reservationId) {
+      return res.status(400).json({ message: 'Reservation ID is required' });
     }
-    
-    // Create a transactionId for reference
-    const transactionId = uuidv4();
-    
-    // Update order with transaction info
-    order.paymentMethod = 'stripe';
-    order.transactionId = transactionId;
-    await order.save();
-    
-    console.log('Creating line items for Stripe');
-    
-    try {
-      // Verify we have items to process
-      if (!order.items || order.items.length === 0) {
-        console.error('Order has no items', order);
-        return res.status(400).json({ message: 'Order has no items to process' });
+
+    // Under the reservation's lock, so a checkout cannot open while the reservation is released
+    await withReservationChangeLock(reservationId, async () => {
+      const reservation = await Reservation.findById(reservationId);
+
+      if (!reservation) {
+        return res.status(404).json({ message: 'Reservation not found' });
       }
-      
-      // Create line items for Stripe
-      const lineItems = order.items.map(item => {
-        // Log each item for debugging
-        console.log('Processing item:', item);
-        
-        if (!item.name || typeof item.price !== 'number') {
-          console.error('Invalid item data:', item);
-          throw new Error(`Invalid item data: ${JSON.stringify(item)}`);
-        }
-        
-        return {
-          price_data: {
-            currency: stripeConfig.currency,
-            product_data: {
-              name: item.name || 'Food item',
-              images: item.image ? [item.image] : [],
-            },
-            unit_amount: Math.round((item.price || 0) * 100), // Stripe expects amount in cents
-          },
-          quantity: item.quantity || 1,
-        };
-      });
-      
-      console.log('Line items created:', lineItems);
-      
-      // Add delivery fee if applicable
-      if (order.deliveryFee) {
-        lineItems.push({
-          price_data: {
-            currency: stripeConfig.currency,
-            product_data: {
-              name: 'Delivery Fee',
-            },
-            unit_amount: Math.round(order.deliveryFee * 100),
-          },
-          quantity: 1,
-        });
+
+      if (!reservation.user.equals(req.user.userId)) {
+        return res.status(403).json({ message: 'Not authorized' });
       }
-      
-      console.log('Creating Stripe checkout session with config:', {
-        success_url: `${stripeConfig.successUrl}?orderId=${order._id}&session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${stripeConfig.cancelUrl}?orderId=${order._id}`,
-        customer_email: customerInfo?.email,
-        items_count: lineItems.length
-      });
-      
-      // Create Stripe checkout session
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: lineItems,
-        mode: 'payment',
-        success_url: `${stripeConfig.successUrl}?orderId=${order._id}&session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${stripeConfig.cancelUrl}?orderId=${order._id}`,
-        customer_email: customerInfo?.email || 'customer@example.com',
-        client_reference_id: order._id.toString(),
-        metadata: {
-          orderId: order._id.toString(),
-          transactionId
-        }
-      });
-      
-      console.log('Stripe session created successfully:', {
-        sessionId: session.id,
-        url: session.url
-      });
-      
-      return res.json({
+
+      if (reservation.deposit?.status !== 'pending') {
+        return res.status(400).json({ message: 'This reservation has nothing to pay' });
+      }
+
+      if (reservation.status !== 'pending') {
+        return res.status(400).json({ message: `Cannot pay for a reservation that is ${reservation.status}` });
+      }
+
+      const session = await getPaymentProvider('stripe').initiateReservation(reservation);
+      await reservation.save();
+
+      res.json({
         success: true,
-        sessionId: session.id,
-        url: session.url
-      });
-    } catch (stripeError) {
-      console.error('Stripe API error:', {
-        message: stripeError.message,
-        type: stripeError.type,
-        code: stripeError.code,
-        param: stripeError.param,
-        stack: stripeError.stack
+        sessionId: session.sessionId,
+        url: session.url,
+        amount: reservation.amountDue
       });
-      
-      return res.status(500).json({
-        message: 'Stripe payment processing error',
-        error: stripeError.message,
-        code: stripeError.code || 'unknown'
-      });
-    }
+    });
   } catch (error) {
-    console.error('Stripe payment initialization error:', error);
+    if (error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Stripe reservation payment error:', error);
     res.status(500).json({
-      message: 'Server error',
-      error: error.message || 'Unknown error'
+      message: 'Stripe payment processing error',
+      error: error.message
     });
   }
 });
@@ -169,68 +160,28 @@ router.post('/stripe/create-session', auth, async (req, res) => {
  * @access  Public
  */
 router.post('/stripe/webhook', async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-  
   try {
-    // Log webhook request
-    console.log('Received Stripe webhook:', { 
-      headers: req.headers['stripe-signature'] ? 'Present' : 'Missing',
-      bodyType: typeof req.body, 
-      bodyIsBuffer: Buffer.isBuffer(req.body),
-      bodyLength: req.body ? (Buffer.isBuffer(req.body) ? req.body.length : JSON.stringify(req.body).length) : 0
-    });
-    
     // For raw body parser middleware, req.body should be a Buffer
     if (!Buffer.isBuffer(req.body)) {
       console.error('Webhook request body is not a Buffer - middleware issue');
       return res.status(400).send('Webhook Error: Invalid payload format');
     }
     
-    // Verify the webhook signature
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.body, // Should already be a Buffer from the middleware
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_secret_key'
-      );
-    } catch (err) {
-      console.error('Webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-    
-    console.log('Webhook verified successfully, event type:', event.type);
-    
-    // Handle the checkout.session.completed event
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      
-      // Extract orderId from metadata
-      const orderId = session.metadata.orderId;
-      
-      if (orderId) {
-        try {
-          // Find the order
-          const order = await Order.findById(orderId);
-          
-          if (order) {
-            // Update order payment status
-            order.paymentStatus = 'completed';
-            await order.save();
-            console.log(`Order ${orderId} payment completed`);
-          } else {
-            console.log(`Order ${orderId} not found`);
-          }
-        } catch (error) {
-          console.error('Error updating order status:', error);
-        }
-      } else {
-        console.log('No orderId found in session metadata');
-      }
+    // Each event is processed once; a failure answers 500 so Stripe retries the delivery
+    const result = await getPaymentProvider('stripe').handleWebhook({
+      rawBody: req.body,
+      signature: req.headers['stripe-signature']
+    });
+    if (result.duplicate) {
+      console.log(`Stripe event ${result.eventId} was already processed`);
     }
     
-    res.status(200).json({received: true});
+    res.status(200).json({ received: true, ...result });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      console.error('Webhook signature verification failed:', error.message);
+      return res.status(error.status).send(error.message);
+    }
     console.error('Webhook processing error:', error);
     res.status(500).send('Webhook processing error');
   }
@@ -241,198 +192,21 @@ router.post('/stripe/webhook', async (req, res) => {
  * @desc    Verify a Stripe payment
  * @access  Private
  */
-router.post('/stripe/verify', auth, async (req, res) => {
-  try {
-    const { sessionId, orderId } = req.body;
-    
-    if (!sessionId || !orderId) {
-      return res.status(400).json({ message: 'Session ID and Order ID are required' });
-    }
-    
-    // Retrieve the session from Stripe
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    
-    // Check if the payment was successful
-    if (session.payment_status === 'paid') {
-      // Find the order
-      const order = await Order.findById(orderId);
-      
-      if (!order) {
-        return res.status(404).json({ message: 'Order not found' });
-      }
-      
-      // Update order payment status if not already completed
-      if (order.paymentStatus !== 'completed') {
-        order.paymentStatus = 'completed';
-        await order.save();
-      }
-      
-      return res.json({
-        success: true,
-        order
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment not completed',
-        status: session.payment_status
-      });
-    }
-  } catch (error) {
-    console.error('Stripe payment verification error:', error);
-    res.status(500).json({
-      message: 'Server error',
-      error: error.message
-    });
-  }
-});
+router.post('/stripe/verify', auth, verifyPaymentFor('stripe'));
 
 /**
  * @route   POST api/payment/initiate
  * @desc    Initiate a payment with SSLCommerz
  * @access  Private
  */
-router.post('/initiate', auth, async (req, res) => {
-  try {
-    const { orderId, amount, customerInfo } = req.body;
-    
-    if (!orderId || !amount) {
-      return res.status(400).json({ message: 'Order ID and amount are required' });
-    }
-    
-    // Get order from database to verify amount and status
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-    
-    if (order.paymentStatus === 'completed') {
-      return res.status(400).json({ message: 'Order is already paid for' });
-    }
-    
-    const transactionId = uuidv4();
-    
-    // Prepare data for SSLCommerz
-    const sslData = {
-      store_id: sslConfig.store_id,
-      store_passwd: sslConfig.store_passwd,
-      total_amount: amount,
-      currency: 'BDT',
-      tran_id: transactionId,
-      success_url: `${req.protocol}://${req.get('host')}/api/payment/success`,
-      fail_url: `${req.protocol}://${req.get('host')}/api/payment/fail`,
-      cancel_url: `${req.protocol}://${req.get('host')}/api/payment/cancel`,
-      ipn_url: `${req.protocol}://${req.get('host')}/api/payment/ipn`,
-      shipping_method: 'NO',
-      product_name: 'Food Order',
-      product_category: 'Food',
-      product_profile: 'general',
-      cus_name: customerInfo.name || order.deliveryAddress.name,
-      cus_email: customerInfo.email || 'customer@example.com',
-      cus_add1: customerInfo.address || order.deliveryAddress.street,
-      cus_city: customerInfo.city || order.deliveryAddress.city,
-      cus_state: customerInfo.state || order.deliveryAddress.state,
-      cus_postcode: customerInfo.zipCode || order.deliveryAddress.zipCode,
-      cus_country: 'Bangladesh',
-      cus_phone: customerInfo.phone || '01700000000',
-      value_a: orderId, // Using value_a to store orderId for verification
-    };
-    
-    // For test mode, we need to use the SSLCommerz Sandbox URL
-    const apiUrl = sslConfig.is_live 
-      ? 'https://securepay.sslcommerz.com/gwprocess/v4/api.php'
-      : 'https://sandbox.sslcommerz.com/gwprocess/v4/api.php';
-    
-    // Send request to SSLCommerz to create a payment session
-    const response = await axios.post(apiUrl, sslData);
-    
-    if (response.data.status === 'SUCCESS') {
-      // Update order with transaction info
-      order.paymentMethod = 'sslcommerz';
-      order.transactionId = transactionId;
-      await order.save();
-      
-      // Return the redirect URL to client
-      return res.json({
-        success: true,
-        redirectUrl: response.data.GatewayPageURL,
-        transactionId
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to initialize payment',
-        details: response.data
-      });
-    }
-  } catch (error) {
-    console.error('Payment initialization error:', error);
-    res.status(500).json({
-      message: 'Server error',
-      error: error.message
-    });
-  }
-});
+router.post('/initiate', auth, initiatePayment('sslcommerz'));
 
 /**
  * @route   POST api/payment/verify
- * @desc    Verify a payment with SSLCommerz
+ * @desc    Verify a payment with SSLCommerz by its validation id (`valId`)
  * @access  Private
  */
-router.post('/verify', auth, async (req, res) => {
-  try {
-    const { transactionId } = req.body;
-    
-    if (!transactionId) {
-      return res.status(400).json({ message: 'Transaction ID is required' });
-    }
-    
-    // Make a validation request to SSLCommerz
-    const validationUrl = sslConfig.is_live
-      ? 'https://securepay.sslcommerz.com/validator/api/validationserverAPI.php'
-      : 'https://sandbox.sslcommerz.com/validator/api/validationserverAPI.php';
-    
-    const validationData = {
-      val_id: transactionId,
-      store_id: sslConfig.store_id,
-      store_passwd: sslConfig.store_passwd,
-      format: 'json'
-    };
-    
-    const response = await axios.get(validationUrl, { params: validationData });
-    
-    if (response.data.status === 'VALID' || response.data.status === 'VALIDATED') {
-      // Find the order by transaction ID
-      const order = await Order.findOne({ transactionId });
-      
-      if (!order) {
-        return res.status(404).json({ message: 'Order not found' });
-      }
-      
-      // Update order payment status
-      order.paymentStatus = 'completed';
-      await order.save();
-      
-      return res.json({
-        success: true,
-        order
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment validation failed',
-        details: response.data
-      });
-    }
-  } catch (error) {
-    console.error('Payment verification error:', error);
-    res.status(500).json({
-      message: 'Server error',
-      error: error.message
-    });
-  }
-});
+router.post('/verify', auth, verifyPaymentFor('sslcommerz'));
 
 /**
  * @route   POST api/payment/success
@@ -441,23 +215,19 @@ router.post('/verify', auth, async (req, res) => {
  */
 router.post('/success', async (req, res) => {
   try {
-    const { val_id, tran_id, value_a } = req.body;
-    
-    // Find order by ID stored in value_a
-    const order = await Order.findById(value_a);
+    const order = await getPaymentProvider('sslcommerz').handleWebhook(req.body);
     
     if (!order) {
-      return res.status(404).send('Order not found');
+      return res.redirect(`${paymentConfig.frontend_url}/payment-failed`);
     }
     
-    // Update order payment status
-    order.paymentStatus = 'completed';
-    order.transactionId = tran_id;
-    await order.save();
-    
     // Redirect to order confirmation page
     res.redirect(`${paymentConfig.frontend_url}/payment-success?orderId=${order._id}`);
   } catch (error) {
+    if (error instanceof PaymentError) {
+      console.warn('Rejected SSLCommerz success callback:', error.message, { tran_id: req.body.tran_id });
+      return res.redirect(`${paymentConfig.frontend_url}/payment-failed`);
+    }
     console.error('Payment success callback error:', error);
     res.status(500).send('Error processing payment');
   }
@@ -470,14 +240,11 @@ router.post('/success', async (req, res) => {
  */
 router.post('/fail', async (req, res) => {
   try {
-    const { value_a } = req.body;
+    // Only the payment attempt the order is waiting for can fail it
+    const order = await findOrderByTransaction(req.body.tran_id);
     
-    // Find order by ID stored in value_a
-    const order = await Order.findById(value_a);
-    
-    if (order) {
-      // Update order payment status
-      order.paymentStatus = 'failed';
+    if (order && order.paymentStatus === 'pending') {
+      markOrderPaymentFailed(order, req.body.error);
       await order.save();
     }
     
@@ -506,23 +273,69 @@ router.post('/cancel', async (req, res) => {
  */
 router.post('/ipn', async (req, res) => {
   try {
-    const { status, value_a, tran_id } = req.body;
-    
-    if (status === 'VALID') {
-      const order = await Order.findById(value_a);
-      
-      if (order) {
-        order.paymentStatus = 'completed';
-        order.transactionId = tran_id;
-        await order.save();
-      }
-    }
-    
+    // Failed and cancelled payments are reported through the browser callbacks
+    await getPaymentProvider('sslcommerz').handleWebhook(req.body);
     res.status(200).end();
   } catch (error) {
+    if (error instanceof PaymentError) {
+      console.warn('Rejected SSLCommerz IPN:', error.message, { tran_id: req.body.tran_id });
+      return res.status(error.status).end();
+    }
     console.error('IPN handler error:', error);
     res.status(500).end();
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route   POST api/payment/cod/:orderId/confirm
+ * @desc    Rider confirms the cash was collected, which completes the delivery
+ * @access  Private (riders)
+ */
+router.post('/cod/:orderId/confirm', auth, requirePermission('deliveries:update'), async (req, res) => {
+  try {
+    // Under the order lock, so a cancellation or refund cannot cross the delivery
+    await withOrderLock(req.params.orderId, async () => {
+      const order = await Order.findById(req.params.orderId);
+
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      if (order.paymentMethod !== 'cod') {
+        return res.status(400).json({ message: 'This order is not paid in cash' });
+      }
+
+      if (!PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        return res.status(400).json({ message: 'Cash for this order has already been collected' });
+      }
+
+      await getPaymentProvider('cod').verify(order, {
+        amountCollected: req.body.amountCollected,
+        actor: req.user.userId
+      });
+      await order.save();
+
+      res.json({ success: true, order });
+    });
+  } catch (error) {
+    if (error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    sendPaymentError(res, error, 'Error confirming cash payment');
+  }
+});
+
+/**
+ * @route   POST api/payment/:method/initiate
+ * @desc    Start paying an order with any supported method (stripe, sslcommerz, cod)
+ * @access  Private
+ */
+router.post('/:method/initiate', auth, (req, res) => {
+  const method = normalizePaymentMethod(req.params.method);
+  if (!method) {
+    return res.status(404).json({ message: `Unsupported payment method: ${req.params.method}` });
+  }
+  return initiatePayment(method)(req, res);
+});
+
+module.exports = router;
@@ -1,40 +1,167 @@
 const express = require('express');
 const router = express.Router();
 const Reservation = require('../models/Reservation');
+const RestaurantSchedule = require('../models/RestaurantSchedule');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { findTablesFor, findAvailableSlots, withReservationLock } = require('../utils/availability');
+const { LockError } = require('../utils/lock');
+const {
+  ScheduleError,
+  getOpeningPeriods,
+  parseTime,
+  formatTime,
+  hoursUntilReservation,
+  validateReservationTime
+} = require('../utils/schedule');
+const { handleFreedCapacity } = require('../utils/waitlist');
+const { PaginationError, paginate } = require('../utils/pagination');
+const {
+  getDepositRequirement,
+  depositPaymentDeadline,
+  applyDepositRequirement,
+  settleDepositOnCancellation
+} = require('../utils/deposits');
+const { PricingError, priceOrder, roundMoney } = require('../utils/pricing');
+const {
+  RELEASED_RESERVATION_STATUSES,
+  canTransitionReservation,
+  getBookingRestriction,
+  withReservationChangeLock
+} = require('../utils/reservationStatus');
+
+// Guests cannot cancel or change a reservation this close to its start
+const CHANGE_CUTOFF_HOURS = 6;
+
+const BLOCKED_BOOKING_MESSAGE = 'Online booking is unavailable because of repeated no-shows. Please contact the restaurant.';
+
+// Fields reservation lists can be sorted on; `date` sorts by day, then time
+const RESERVATION_SORT_FIELDS = {
+  date: ['date', 'time'],
+  createdAt: 'createdAt',
+  guests: 'guests',
+  status: 'status'
+};
+
+/**
+ * Price dishes ordered ahead for a reservation. Delivery does not apply to dine-in.
+ */
+const priceReservationPreOrder = async (items) => {
+  const priced = await priceOrder(items);
+  return {
+    items: priced.items.map(({ menuItem, name, quantity, modifiers, price, lineTotal }) => ({
+      menuItem, name, quantity, modifiers, price, lineTotal
+    })),
+    subtotal: priced.subtotal,
+    tax: priced.tax,
+    total: roundMoney(priced.subtotal - priced.discount + priced.tax)
+  };
+};
+
+/**
+ * Move a reservation to a new status, keeping timestamps and the guest's no-show count up to date.
+ * Staff cancellations refund the deposit in full (`forceRefund`).
+ * Returns an error response object when the change is not allowed.
+ * The caller holds the reservation's lock, and offers a freed table to the waitlist once it is
+ * released (see offerFreedTable).
+ */
+const changeReservationStatus = async (reservation, status, { forceRefund = false } = {}) => {
+  if (!canTransitionReservation(reservation.status, status)) {
+    return { status: 400, message: `Cannot change reservation status from ${reservation.status} to ${status}` };
+  }
+
+  if (status === 'no-show' && hoursUntilReservation(reservation) > 0) {
+    return { status: 400, message: 'A reservation can only be marked as a no-show after its start time' };
+  }
+
+  if (status === 'confirmed' && reservation.deposit?.status === 'pending') {
+    return { status: 400, message: 'The reservation cannot be confirmed until its deposit is paid' };
+  }
+
+  reservation.status = status;
+  if (status === 'seated') reservation.seatedAt = new Date();
+  if (status === 'completed') reservation.completedAt = new Date();
+  if (status === 'cancelled') await settleDepositOnCancellation(reservation, { forceRefund });
+  // A no-show keeps the deposit and the pre-order
+  if (status === 'no-show' && reservation.deposit?.status === 'paid') reservation.deposit.status = 'forfeited';
+  await reservation.save();
+
+  if (status === 'no-show') {
+    await User.updateOne({ _id: reservation.user }, { $inc: { noShowCount: 1 } });
+  }
+
+  return null;
+};
+
+// Offer the table of a reservation that no longer holds it to the waitlist
+const offerFreedTable = async (previousStatus, reservation) => {
+  if (!RELEASED_RESERVATION_STATUSES.includes(previousStatus) && RELEASED_RESERVATION_STATUSES.includes(reservation.status)) {
+    await handleFreedCapacity(reservation.date);
+  }
+};
 
 // Create a new reservation
 router.post('/', auth, async (req, res) => {
   try {
-    const { name, email, phone, date, time, guests, specialRequests, occasion } = req.body;
+    const { name, email, phone, date, time, guests, specialRequests, occasion, preOrderItems } = req.body;
 
-    // Check if there are already too many reservations for this time slot
-    const existingReservations = await Reservation.countDocuments({
-      date: new Date(date),
-      time: time,
-      status: { $ne: 'cancelled' }
-    });
+    if (!date || !time || !guests) {
+      return res.status(400).json({ message: 'Date, time and number of guests are required' });
+    }
 
-    if (existingReservations >= 5) { // Assuming 5 tables per time slot
-      return res.status(400).json({ message: 'No tables available for this time slot' });
+    // Repeat no-shows must pay a deposit, or cannot book at all
+    const user = await User.findById(req.user.userId).select('noShowCount');
+    const restriction = getBookingRestriction(user);
+    if (restriction === 'blocked') {
+      return res.status(403).json({ message: BLOCKED_BOOKING_MESSAGE });
     }
 
-    const reservation = new Reservation({
-      user: req.user.userId,
-      name,
-      email,
-      phone,
-      date,
-      time,
-      guests,
-      specialRequests,
-      occasion,
-      tableNumber: existingReservations + 1
+    // Make sure the restaurant takes bookings at this time
+    const schedule = await RestaurantSchedule.getCurrent();
+    const slot = validateReservationTime(schedule, { date, time, guests: Number(guests) });
+
+    // Large parties, special occasions and repeat no-shows pay a deposit.
+    // Dishes ordered ahead are paid online together with it.
+    const deposit = getDepositRequirement({ guests: Number(guests), occasion, restriction });
+    const preOrder = preOrderItems?.length ? await priceReservationPreOrder(preOrderItems) : undefined;
+    if (preOrder && deposit.status === 'not-required') deposit.status = 'pending';
+    if (deposit.status === 'pending') deposit.payBy = depositPaymentDeadline(slot.startAt);
+
+    // Find the smallest free table (or combination of tables) for the whole seating
+    const reservation = await withReservationLock(async () => {
+      const { tables } = await findTablesFor({ ...slot, guests: Number(guests) });
+      if (!tables) return null;
+
+      return Reservation.create({
+        user: req.user.userId,
+        name,
+        email,
+        phone,
+        date,
+        time: slot.time,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        guests,
+        specialRequests,
+        occasion,
+        tableNumber: tables[0].number,
+        tables: tables.map(table => table.number),
+        deposit,
+        preOrder
+      });
     });
 
-    await reservation.save();
+    if (!reservation) {
+      return res.status(400).json({ message: 'No tables available for this time slot', canJoinWaitlist: true });
+    }
+
     res.status(201).json(reservation);
   } catch (error) {
+    if (error instanceof ScheduleError || error instanceof PricingError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating reservation', error: error.message });
   }
 });
@@ -42,10 +169,14 @@ router.post('/', auth, async (req, res) => {
 // Get user's reservations
 router.get('/my-reservations', auth, async (req, res) => {
   try {
-    const reservations = await Reservation.find({ user: req.user.userId })
-      .sort({ date: 1, time: 1 });
-    res.json(reservations);
+    res.json(await paginate(Reservation, { user: req.user.userId }, req.query, {
+      sortFields: RESERVATION_SORT_FIELDS,
+      defaultSort: 'date'
+    }));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching reservations', error: error.message });
   }
 });
@@ -53,19 +184,33 @@ router.get('/my-reservations', auth, async (req, res) => {
 // Check availability for a specific date and time
 router.get('/check-availability', async (req, res) => {
   try {
-    const { date, time } = req.query;
-    const existingReservations = await Reservation.countDocuments({
-      date: new Date(date),
-      time: time,
-      status: { $ne: 'cancelled' }
-    });
+    const { date, time, guests } = req.query;
+
+    if (!date || !time) {
+      return res.status(400).json({ message: 'Date and time are required' });
+    }
 
-    const available = existingReservations < 5; // Assuming 5 tables per time slot
-    const remainingTables = 5 - existingReservations;
+    const schedule = await RestaurantSchedule.getCurrent();
+    let slot;
+    try {
+      slot = validateReservationTime(schedule, { date, time, guests: Number(guests) || 2 });
+    } catch (scheduleError) {
+      if (scheduleError instanceof ScheduleError) {
+        return res.json({ available: false, remainingTables: 0, remainingSeats: 0, message: scheduleError.message });
+      }
+      throw scheduleError;
+    }
+
+    const { tables, freeTables } = await findTablesFor({ ...slot, guests: Number(guests) || 0 });
+
+    // With a party size, the slot is only available if the party can actually be seated
+    const available = guests ? Boolean(tables) : freeTables.length > 0;
+    const remainingTables = freeTables.length;
 
     res.json({ 
       available, 
       remainingTables,
+      remainingSeats: freeTables.reduce((sum, table) => sum + table.seats, 0),
       message: available ? 
         `${remainingTables} tables available!` : 
         'No tables available for this time slot'
@@ -75,8 +220,162 @@ router.get('/check-availability', async (req, res) => {
   }
 });
 
-// Cancel reservation
-router.put('/:id/cancel', auth, async (req, res) => {
+// Get bookable times for a date and party size
+router.get('/available-slots', async (req, res) => {
+  try {
+    const { date } = req.query;
+    const guests = Number(req.query.guests) || 2;
+
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'A valid date is required' });
+    }
+
+    const schedule = await RestaurantSchedule.getCurrent();
+    const slots = await findAvailableSlots(schedule, { date, guests });
+
+    res.json({ date, guests, slots });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching available slots', error: error.message });
+  }
+});
+
+// Get the restaurant schedule (opening hours and reservation rules)
+router.get('/schedule', async (req, res) => {
+  try {
+    const schedule = await RestaurantSchedule.getCurrent();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching schedule', error: error.message });
+  }
+});
+
+// Update the restaurant schedule
+router.put('/schedule', auth, requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const schedule = await RestaurantSchedule.getCurrent();
+    const fields = ['timezone', 'weeklyHours', 'closures', 'specialHours', 'slotInterval', 'lastSeatingBeforeClose', 'turnTimes', 'minAdvanceMinutes', 'maxAdvanceDays'];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) schedule[field] = req.body[field];
+    });
+
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Schedule validation failed', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Error updating schedule', error: error.message });
+  }
+});
+
+// Join the waitlist for a date, time window and party size
+router.post('/waitlist', auth, async (req, res) => {
+  try {
+    const { name, email, phone, date, windowStart, windowEnd, guests, occasion, specialRequests } = req.body;
+
+    if (!date || !windowStart || !windowEnd || !guests) {
+      return res.status(400).json({ message: 'Date, time window and number of guests are required' });
+    }
+
+    const start = parseTime(windowStart);
+    const end = parseTime(windowEnd);
+    if (start === null || end === null || end < start) {
+      return res.status(400).json({ message: 'Invalid time window' });
+    }
+
+    // Guests blocked for repeated no-shows cannot get a table through the waitlist either
+    const user = await User.findById(req.user.userId).select('noShowCount');
+    if (getBookingRestriction(user) === 'blocked') {
+      return res.status(403).json({ message: BLOCKED_BOOKING_MESSAGE });
+    }
+
+    const schedule = await RestaurantSchedule.getCurrent();
+    if (Number.isNaN(new Date(date).getTime()) || getOpeningPeriods(schedule, date).length === 0) {
+      return res.status(400).json({ message: 'The restaurant is closed on this day' });
+    }
+
+    const entry = new WaitlistEntry({
+      user: req.user.userId,
+      name,
+      email,
+      phone,
+      date,
+      windowStart: formatTime(start),
+      windowEnd: formatTime(end),
+      guests,
+      occasion,
+      specialRequests
+    });
+
+    await entry.save();
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Waitlist validation failed', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Error joining waitlist', error: error.message });
+  }
+});
+
+// Get the current user's waitlist entries
+router.get('/waitlist/mine', auth, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ user: req.user.userId })
+      .populate('promotedReservation')
+      .sort({ date: 1, createdAt: 1 });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching waitlist', error: error.message });
+  }
+});
+
+// Get the waitlist, including promotions (staff only)
+router.get('/waitlist', auth, requirePermission('reservations:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.date) filter.date = new Date(req.query.date);
+    if (req.query.status) filter.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('promotedReservation')
+      .sort({ date: 1, createdAt: 1 });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching waitlist', error: error.message });
+  }
+});
+
+// Leave the waitlist
+router.delete('/waitlist/:id', auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    if (!entry.user.equals(req.user.userId)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({ message: 'Only waiting entries can be removed' });
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ message: 'Error leaving waitlist', error: error.message });
+  }
+});
+
+// Confirm a reservation offered from the waitlist
+router.put('/:id/confirm', auth, async (req, res) => {
   try {
     const reservation = await Reservation.findById(req.params.id);
 
@@ -84,70 +383,266 @@ router.put('/:id/cancel', auth, async (req, res) => {
       return res.status(404).json({ message: 'Reservation not found' });
     }
 
-    if (reservation.user.toString() !== req.user.userId) {
+    if (!reservation.user.equals(req.user.userId)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (reservation.status === 'cancelled') {
-      return res.status(400).json({ message: 'Reservation is already cancelled' });
+    if (!reservation.waitlistEntry || reservation.guestConfirmedAt) {
+      return res.status(400).json({ message: 'This reservation does not need confirmation' });
     }
 
-    // Check if cancellation is within 6 hours of reservation
-    const reservationTime = new Date(reservation.date);
-    const now = new Date();
-    const hoursDifference = (reservationTime - now) / (1000 * 60 * 60);
-
-    if (hoursDifference < 6) {
-      return res.status(400).json({ message: 'Cannot cancel reservation less than 6 hours before scheduled time' });
+    if (reservation.status === 'cancelled' || reservation.confirmationDeadline < new Date()) {
+      return res.status(400).json({ message: 'This offer has expired' });
     }
 
-    reservation.status = 'cancelled';
+    reservation.guestConfirmedAt = new Date();
     await reservation.save();
 
     res.json(reservation);
   } catch (error) {
-    res.status(500).json({ message: 'Error cancelling reservation', error: error.message });
+    res.status(500).json({ message: 'Error confirming reservation', error: error.message });
   }
 });
 
-// Admin routes
-// Get all reservations (admin only)
-router.get('/', auth, async (req, res) => {
+// Change date, time, party size or special requests of a reservation.
+// The original table is kept unless the new slot can be fully allocated.
+router.put('/:id/modify', auth, async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
     }
 
-    const reservations = await Reservation.find()
-      .sort({ date: 1, time: 1 });
-    res.json(reservations);
+    if (!reservation.user.equals(req.user.userId)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+      return res.status(400).json({ message: `Cannot change a reservation that is ${reservation.status}` });
+    }
+
+    if (hoursUntilReservation(reservation) < CHANGE_CUTOFF_HOURS) {
+      return res.status(400).json({ message: `Cannot change reservation less than ${CHANGE_CUTOFF_HOURS} hours before scheduled time` });
+    }
+
+    const { date, time, guests, specialRequests } = req.body;
+    const previous = { date: reservation.date, time: reservation.time, guests: reservation.guests };
+
+    if (specialRequests !== undefined) {
+      reservation.specialRequests = specialRequests;
+    }
+
+    const slotChanged = date !== undefined || time !== undefined || guests !== undefined;
+    if (!slotChanged) {
+      await reservation.save();
+      return res.json(reservation);
+    }
+
+    const newGuests = guests !== undefined ? Number(guests) : reservation.guests;
+    const schedule = await RestaurantSchedule.getCurrent();
+    const slot = validateReservationTime(schedule, {
+      date: date !== undefined ? date : reservation.date,
+      time: time !== undefined ? time : reservation.time,
+      guests: newGuests
+    });
+    const user = await User.findById(reservation.user).select('noShowCount');
+
+    // Re-allocate tables for the new slot, ignoring the tables this reservation holds now
+    const updated = await withReservationLock(async () => {
+      const { tables } = await findTablesFor({ ...slot, guests: newGuests, excludeId: reservation._id });
+      if (!tables) return null;
+
+      if (date !== undefined) reservation.date = date;
+      reservation.time = slot.time;
+      reservation.startAt = slot.startAt;
+      reservation.endAt = slot.endAt;
+      reservation.guests = newGuests;
+      // The deposit follows the party size; a grown party owes the difference
+      applyDepositRequirement(reservation, getDepositRequirement({
+        guests: newGuests,
+        occasion: reservation.occasion,
+        restriction: getBookingRestriction(user)
+      }));
+      reservation.tableNumber = tables[0].number;
+      reservation.tables = tables.map(table => table.number);
+
+      return reservation.save();
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        message: 'No tables available for the new time slot. Your original reservation has been kept.',
+        reservation: await Reservation.findById(req.params.id)
+      });
+    }
+
+    // The old slot may now have room for someone on the waitlist
+    if (previous.time !== updated.time || previous.guests > updated.guests || new Date(previous.date).getTime() !== new Date(updated.date).getTime()) {
+      await handleFreedCapacity(previous.date);
+    }
+
+    res.json(updated);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching reservations', error: error.message });
+    if (error instanceof ScheduleError || error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Reservation validation failed', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Error modifying reservation', error: error.message });
   }
 });
 
-// Update reservation status (admin only)
-router.put('/:id', auth, async (req, res) => {
+// Cancel reservation
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    // Changes to one reservation run one at a time, so a deposit cannot be refunded twice
+    const reservation = await withReservationChangeLock(req.params.id, async () => {
+      const reservation = await Reservation.findById(req.params.id);
+
+      if (!reservation) {
+        res.status(404).json({ message: 'Reservation not found' });
+        return null;
+      }
+
+      if (!reservation.user.equals(req.user.userId)) {
+        res.status(403).json({ message: 'Not authorized' });
+        return null;
+      }
+
+      if (reservation.status === 'cancelled') {
+        res.status(400).json({ message: 'Reservation is already cancelled' });
+        return null;
+      }
+
+      if (!canTransitionReservation(reservation.status, 'cancelled')) {
+        res.status(400).json({ message: `Cannot cancel a reservation that is ${reservation.status}` });
+        return null;
+      }
+
+      // Check if cancellation is within 6 hours of the reservation's date and time
+      if (hoursUntilReservation(reservation) < CHANGE_CUTOFF_HOURS) {
+        res.status(400).json({ message: `Cannot cancel reservation less than ${CHANGE_CUTOFF_HOURS} hours before scheduled time` });
+        return null;
+      }
+
+      // Refund the deposit and pre-order (the deposit is kept when cancelling late)
+      await settleDepositOnCancellation(reservation);
+      reservation.status = 'cancelled';
+      await reservation.save();
+      return reservation;
+    });
+
+    if (!reservation) return;
+
+    // Offer the freed table to the waitlist
+    await handleFreedCapacity(reservation.date);
+
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error cancelling reservation', error: error.message });
+  }
+});
+
+// Admin routes
+// Get all reservations (staff only)
+router.get('/', auth, requirePermission('reservations:read'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    res.json(await paginate(Reservation, {}, req.query, {
+      sortFields: RESERVATION_SORT_FIELDS,
+      defaultSort: 'date'
+    }));
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Error fetching reservations', error: error.message });
+  }
+});
 
+// Update reservation status or table (staff only)
+router.put('/:id', auth, requirePermission('reservations:update'), async (req, res) => {
+  try {
     const { status, tableNumber } = req.body;
-    const reservation = await Reservation.findById(req.params.id);
 
-    if (!reservation) {
-      return res.status(404).json({ message: 'Reservation not found' });
-    }
+    // Changes to one reservation run one at a time, so a deposit cannot be refunded twice
+    const result = await withReservationChangeLock(req.params.id, async () => {
+      const reservation = await Reservation.findById(req.params.id);
 
-    if (status) reservation.status = status;
-    if (tableNumber) reservation.tableNumber = tableNumber;
+      if (!reservation) {
+        return { error: { status: 404, message: 'Reservation not found' } };
+      }
 
-    await reservation.save();
-    res.json(reservation);
+      const previousStatus = reservation.status;
+
+      if (tableNumber) {
+        reservation.tableNumber = tableNumber;
+        reservation.tables = [tableNumber];
+      }
+
+      if (status && status !== reservation.status) {
+        const error = await changeReservationStatus(reservation, status, { forceRefund: true });
+        if (error) return { error };
+      } else {
+        await reservation.save();
+      }
+
+      return { reservation, previousStatus };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    await offerFreedTable(result.previousStatus, result.reservation);
+    res.json(result.reservation);
   } catch (error) {
+    if (error instanceof LockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating reservation', error: error.message });
   }
 });
 
+// Host actions: seat the party, finish the seating, or record a no-show (staff only)
+const HOST_ACTIONS = {
+  seat: 'seated',
+  complete: 'completed',
+  'no-show': 'no-show'
+};
+
+Object.entries(HOST_ACTIONS).forEach(([action, status]) => {
+  router.put(`/:id/${action}`, auth, requirePermission('reservations:update'), async (req, res) => {
+    try {
+      const result = await withReservationChangeLock(req.params.id, async () => {
+        const reservation = await Reservation.findById(req.params.id);
+
+        if (!reservation) {
+          return { error: { status: 404, message: 'Reservation not found' } };
+        }
+
+        const previousStatus = reservation.status;
+        const error = await changeReservationStatus(reservation, status);
+        return error ? { error } : { reservation, previousStatus };
+      });
+
+      if (result.error) {
+        return res.status(result.error.status).json({ message: result.error.message });
+      }
+
+      await offerFreedTable(result.previousStatus, result.reservation);
+      res.json(result.reservation);
+    } catch (error) {
+      if (error instanceof LockError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Error updating reservation', error: error.message });
+    }
+  });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const Table = require('../models/Table');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Get all tables
+router.get('/', auth, requirePermission('tables:read'), async (req, res) => {
+  try {
+    const tables = await Table.find().sort({ area: 1, number: 1 });
+    res.json(tables);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tables', error: error.message });
+  }
+});
+
+// Add a table
+router.post('/', auth, requirePermission('tables:manage'), async (req, res) => {
+  try {
+    const table = new Table(req.body);
+    await table.save();
+    res.status(201).json(table);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Table validation failed', errors: error.errors });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A table with this number already exists' });
+    }
+    res.status(500).json({ message: 'Error creating table', error: error.message });
+  }
+});
+
+// Update a table
+router.put('/:id', auth, requirePermission('tables:manage'), async (req, res) => {
+  try {
+    const table = await Table.findByIdAndUpdate(
+      req.params.id,
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!table) {
+      return res.status(404).json({ message: 'Table not found' });
+    }
+
+    res.json(table);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Table validation failed', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Error updating table', error: error.message });
+  }
+});
+
+// Remove a table
+router.delete('/:id', auth, requirePermission('tables:manage'), async (req, res) => {
+  try {
+    const table = await Table.findByIdAndDelete(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({ message: 'Table not found' });
+    }
+
+    res.json({ message: 'Table deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting table', error: error.message });
+  }
+});
+
+module.exports = router;
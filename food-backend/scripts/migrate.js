@@ -0,0 +1,63 @@
+/**
+ * Run data migrations from the migrations/ directory.
+ *
+ *   npm run migrate                  apply every pending migration
+ *   npm run migrate -- --to <name>   apply pending migrations up to <name>
+ *   npm run migrate:down             roll back the last applied migration
+ *   npm run migrate:down -- --steps 2
+ *   npm run migrate:status           list migrations and when they were applied
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../utils/migrations');
+
+const parseArgs = (argv) => {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+  return { command, options };
+};
+
+const commands = {
+  up: async ({ to }) => {
+    const applied = await migrateUp({ to });
+    console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+  },
+  down: async ({ steps }) => {
+    const count = steps === undefined ? 1 : Number(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('--steps must be a positive whole number');
+    }
+    const rolledBack = await migrateDown({ steps: count });
+    console.log(rolledBack.length > 0 ? `Rolled back: ${rolledBack.join(', ')}` : 'No applied migrations');
+  },
+  status: async () => {
+    const migrations = await getMigrationStatus();
+    migrations.forEach(({ name, description, appliedAt }) => {
+      const applied = appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending';
+      console.log(`${name}  ${applied}${description ? `  ${description}` : ''}`);
+    });
+  }
+};
+
+const main = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.mongodbUri);
+  try {
+    await commands[command](options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * Local stand-in for the SSLCommerz gateway, for testing payments offline.
+ *
+ *   npm run mock:sslcommerz
+ *   SSLCOMMERZ_API_URL=http://localhost:5055 npm run dev
+ *
+ * It implements the session, validation and refund APIs and a payment page that
+ * sends signed success/fail callbacks and the IPN, like the real gateway does.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = Number(process.env.MOCK_SSLCOMMERZ_PORT || 5055);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// Payment sessions by session key, and completed payments by val_id
+const sessions = new Map();
+const payments = new Map();
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+const randomId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+
+// Same signature scheme as SSLCommerz: see utils/sslcommerz.js
+const signFields = (fields, storePassword) => {
+  const keys = Object.keys(fields);
+  const data = { ...fields, store_passwd: md5(storePassword) };
+  const hashString = Object.keys(data).sort().map(key => `${key}=${data[key]}`).join('&');
+  return { ...fields, verify_key: keys.join(','), verify_sign: md5(hashString) };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// A page that immediately posts the fields to `action`, as the gateway redirects the browser
+const autoPostForm = (action, fields) => `<!doctype html>
+<form method="POST" action="${escapeHtml(action)}">
+${Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n')}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+<script>document.forms[0].submit();</script>`;
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+// Create a payment session
+app.post('/gwprocess/v4/api.php', (req, res) => {
+  const { store_id, store_passwd, tran_id, total_amount, currency, success_url, fail_url, cancel_url } = req.body;
+
+  if (!store_id || !store_passwd || !tran_id || !total_amount || !currency || !success_url || !fail_url || !cancel_url) {
+    return res.json({ status: 'FAILED', failedreason: 'Missing required fields' });
+  }
+
+  const sessionKey = randomId('MOCK');
+  sessions.set(sessionKey, { ...req.body });
+
+  res.json({
+    status: 'SUCCESS',
+    sessionkey: sessionKey,
+    GatewayPageURL: `${BASE_URL}/pay/${sessionKey}`
+  });
+});
+
+// Payment page shown to the customer
+app.get('/pay/:sessionKey', (req, res) => {
+  const session = sessions.get(req.params.sessionKey);
+  if (!session) return res.status(404).send('Unknown session');
+
+  res.send(`<!doctype html>
+<h1>Mock SSLCommerz</h1>
+<p>${escapeHtml(session.product_name || 'Payment')}: ${escapeHtml(session.total_amount)} ${escapeHtml(session.currency)}</p>
+<form method="POST" action="/pay/${req.params.sessionKey}/complete"><button>Pay</button></form>
+<form method="POST" action="/pay/${req.params.sessionKey}/fail"><button>Fail</button></form>
+<form method="GET" action="${escapeHtml(session.cancel_url)}"><button>Cancel</button></form>`);
+});
+
+// Successful payment: send the IPN, then post the success callback through the browser
+app.post('/pay/:sessionKey/complete', async (req, res) => {
+  const session = sessions.get(req.params.sessionKey);
+  if (!session) return res.status(404).send('Unknown session');
+
+  const valId = randomId('VAL');
+  const payment = {
+    status: 'VALID',
+    val_id: valId,
+    tran_id: session.tran_id,
+    bank_tran_id: randomId('BANK'),
+    amount: session.total_amount,
+    store_amount: session.total_amount,
+    currency: session.currency,
+    currency_type: session.currency,
+    currency_amount: session.total_amount,
+    card_type: 'MOCK-VISA',
+    tran_date: new Date().toISOString(),
+    value_a: session.value_a || '',
+    refunded: 0
+  };
+  payments.set(valId, payment);
+  sessions.delete(req.params.sessionKey);
+
+  const { refunded, ...callbackFields } = payment;
+  const fields = signFields(callbackFields, session.store_passwd);
+
+  if (session.ipn_url) {
+    try {
+      await axios.post(session.ipn_url, new URLSearchParams(fields));
+    } catch (error) {
+      console.warn(`IPN to ${session.ipn_url} failed: ${error.message}`);
+    }
+  }
+
+  res.send(autoPostForm(session.success_url, fields));
+});
+
+app.post('/pay/:sessionKey/fail', (req, res) => {
+  const session = sessions.get(req.params.sessionKey);
+  if (!session) return res.status(404).send('Unknown session');
+
+  sessions.delete(req.params.sessionKey);
+  res.send(autoPostForm(session.fail_url, {
+    status: 'FAILED',
+    tran_id: session.tran_id,
+    error: 'Declined by the mock gateway',
+    value_a: session.value_a || ''
+  }));
+});
+
+// Validation API
+app.get('/validator/api/validationserverAPI.php', (req, res) => {
+  const payment = payments.get(req.query.val_id);
+  if (!payment) return res.json({ status: 'INVALID_TRANSACTION' });
+
+  const { refunded, ...details } = payment;
+  res.json(details);
+  // Like the real gateway, later lookups report the payment as already validated
+  payment.status = 'VALIDATED';
+});
+
+// Refund API
+app.get('/validator/api/merchantTransIDvalidationAPI.php', (req, res) => {
+  const { bank_tran_id, refund_amount } = req.query;
+  const payment = [...payments.values()].find(item => item.bank_tran_id === bank_tran_id);
+
+  if (!payment) {
+    return res.json({ APIConnect: 'DONE', status: 'failed', errorReason: 'Unknown bank transaction' });
+  }
+
+  const amount = Number(refund_amount);
+  if (!(amount > 0) || payment.refunded + amount > Number(payment.amount) + 0.001) {
+    return res.json({ APIConnect: 'DONE', bank_tran_id, status: 'failed', errorReason: 'Invalid refund amount' });
+  }
+
+  payment.refunded += amount;
+  res.json({
+    APIConnect: 'DONE',
+    bank_tran_id,
+    trans_id: payment.tran_id,
+    refund_ref_id: randomId('REF'),
+    status: 'success'
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock SSLCommerz listening on ${BASE_URL}`);
+});
@@ -0,0 +1,185 @@
+/**
+ * Load demo data into MongoDB.
+ *
+ *   npm run seed                      add the `demo` fixture set
+ *   npm run seed -- --set minimal     add another fixture set
+ *   npm run seed -- --reset           empty the seeded collections first
+ *
+ * Fixture sets live in scripts/fixtures/seed/<set> as categories.json, menus.json, users.json,
+ * tables.json and orders.json (each optional). Dishes name their category by slug. Without
+ * --reset, categories, dishes, users and tables that already exist (by slug, name, email and
+ * number) are left alone, and orders are only added to an empty orders collection.
+ * The fixtures include accounts with known passwords, so the script refuses to run in
+ * production unless --force is also given.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config');
+const Category = require('../models/Category');
+const Menu = require('../models/Menu');
+const User = require('../models/User');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const { priceOrder } = require('../utils/pricing');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'seed');
+
+// Statuses an order passes through on its way to delivery
+const ORDER_PATH = ['confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered'];
+
+const parseArgs = (argv) => {
+  const options = { set: 'demo', reset: false, force: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'set') {
+      options.set = argv[i + 1];
+      i += 1;
+    } else if (name in options) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+};
+
+const readFixture = (set, name) => {
+  const file = path.join(FIXTURES_DIR, set, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+};
+
+// Create the documents that do not exist yet, matched on `key`
+const seedDocuments = async (Model, fixtures, key) => {
+  let created = 0;
+  for (const fixture of fixtures) {
+    const exists = await Model.exists({ [key]: fixture[key] });
+    if (!exists) {
+      // save() rather than insertMany, so hooks such as password hashing run
+      await new Model(fixture).save();
+      created += 1;
+    }
+  }
+  return created;
+};
+
+// Fixtures name the category of each dish by slug
+const withCategoryIds = async (menus) => {
+  const categories = await Category.find({ slug: { $in: menus.map(menu => menu.category) } });
+  const idBySlug = new Map(categories.map(category => [category.slug, category._id]));
+
+  return menus.map(menu => {
+    if (!idBySlug.has(menu.category)) {
+      throw new Error(`Dish "${menu.name}" uses unknown category "${menu.category}"`);
+    }
+    return { ...menu, category: idBySlug.get(menu.category) };
+  });
+};
+
+// Fixtures name their dishes and modifiers; pricing wants ids
+const toOrderItem = (item, menuByName) => {
+  const menuItem = menuByName.get(item.menuItem);
+  if (!menuItem) {
+    throw new Error(`Order fixture uses unknown dish "${item.menuItem}"`);
+  }
+
+  const modifiers = (item.modifiers || []).map(({ group: groupName, options }) => {
+    const group = menuItem.optionGroups.find(g => g.name === groupName);
+    if (!group) {
+      throw new Error(`${menuItem.name} has no "${groupName}" options`);
+    }
+    return {
+      group: group._id,
+      options: options.map(optionName => group.options.find(o => o.name === optionName)?._id)
+    };
+  });
+
+  return { menuItem: menuItem._id.toString(), quantity: item.quantity, modifiers };
+};
+
+const seedOrders = async (fixtures) => {
+  if (fixtures.length === 0 || await Order.exists({})) return 0;
+
+  const menuByName = new Map((await Menu.find()).map(menuItem => [menuItem.name, menuItem]));
+  const users = await User.find({ email: { $in: fixtures.map(fixture => fixture.user) } });
+  const userByEmail = new Map(users.map(user => [user.email, user]));
+
+  for (const fixture of fixtures) {
+    const user = userByEmail.get(fixture.user);
+    if (!user) {
+      throw new Error(`Order fixture uses unknown user "${fixture.user}"`);
+    }
+
+    const pricing = await priceOrder(fixture.items.map(item => toOrderItem(item, menuByName)));
+    const placedAt = new Date(Date.now() - (fixture.hoursAgo || 0) * 60 * 60 * 1000);
+
+    const order = new Order({
+      user: user._id.toString(),
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      taxRate: pricing.taxRate,
+      tax: pricing.tax,
+      deliveryFee: pricing.deliveryFee,
+      total: pricing.total,
+      promisedAt: new Date(placedAt.getTime() + pricing.preparationTime * 60 * 1000),
+      deliveryAddress: fixture.deliveryAddress,
+      paymentMethod: fixture.paymentMethod,
+      paymentStatus: fixture.paymentStatus || 'pending',
+      specialInstructions: fixture.specialInstructions,
+      createdAt: placedAt
+    });
+
+    // Walk the order through its lifecycle so the status history looks real
+    if (fixture.status === 'cancelled') {
+      order.transitionTo('cancelled', { note: 'Cancelled by customer' });
+    } else if (fixture.status && fixture.status !== 'pending') {
+      ORDER_PATH.slice(0, ORDER_PATH.indexOf(fixture.status) + 1).forEach(status => order.transitionTo(status));
+    }
+    order.statusHistory.forEach((entry, index) => {
+      entry.timestamp = new Date(placedAt.getTime() + index * 10 * 60 * 1000);
+    });
+
+    await order.save();
+  }
+
+  return fixtures.length;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const sets = fs.readdirSync(FIXTURES_DIR);
+  if (!sets.includes(options.set)) {
+    console.error(`Unknown fixture set "${options.set}". Available: ${sets.join(', ')}`);
+    process.exit(1);
+  }
+  if (config.isProduction && !options.force) {
+    console.error('Refusing to seed a production database without --force: the fixtures include accounts with known passwords');
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.mongodbUri);
+  try {
+    if (options.reset) {
+      await Promise.all([Category, Menu, User, Table, Order].map(Model => Model.deleteMany({})));
+      console.log('Emptied categories, menus, users, tables and orders');
+    }
+
+    const counts = {
+      categories: await seedDocuments(Category, readFixture(options.set, 'categories'), 'slug'),
+      menus: await seedDocuments(Menu, await withCategoryIds(readFixture(options.set, 'menus')), 'name'),
+      users: await seedDocuments(User, readFixture(options.set, 'users'), 'email'),
+      tables: await seedDocuments(Table, readFixture(options.set, 'tables'), 'number'),
+      orders: await seedOrders(readFixture(options.set, 'orders'))
+    };
+
+    console.log(`Seeded "${options.set}":`, Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', '));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
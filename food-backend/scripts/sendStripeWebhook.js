@@ -0,0 +1,70 @@
+/**
+ * Send a signed Stripe webhook fixture to the local server.
+ *
+ *   node scripts/sendStripeWebhook.js <event type> [--order <id>] [--reservation <id>]
+ *     [--payment-intent <id>] [--session <id>] [--transaction <id>] [--event-id <id>] [--url <webhook url>]
+ *
+ * Fixtures live in scripts/fixtures/stripe. Pass the same --event-id twice to check
+ * that a redelivered event is only processed once.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Stripe = require('stripe');
+const config = require('../config');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+const parseArgs = (argv) => {
+  const [type, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+  return { type, options };
+};
+
+const main = async () => {
+  const { type, options } = parseArgs(process.argv.slice(2));
+  const fixtures = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+
+  if (!type || !fixtures.includes(type)) {
+    console.error(`Usage: node scripts/sendStripeWebhook.js <${fixtures.join('|')}> [--order <id>] [--reservation <id>] ...`);
+    process.exit(1);
+  }
+
+  const values = {
+    eventId: options['event-id'] || `evt_test_${Date.now()}`,
+    created: Math.floor(Date.now() / 1000),
+    orderId: options.order || '',
+    reservationId: options.reservation || '',
+    paymentIntentId: options['payment-intent'] || 'pi_test_fixture',
+    sessionId: options.session || 'cs_test_fixture',
+    transactionId: options.transaction || ''
+  };
+
+  const template = fs.readFileSync(path.join(FIXTURES_DIR, `${type}.json`), 'utf8');
+  const payload = template.replace(/{{(\w+)}}/g, (match, key) => values[key]);
+
+  // Sign the payload the same way Stripe does, with the secret the server verifies against
+  const secret = config.stripe.webhookSecret;
+  if (!secret) {
+    console.error('Set STRIPE_WEBHOOK_SECRET to the secret the server verifies webhooks with');
+    process.exit(1);
+  }
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const url = options.url || `http://localhost:${config.port}/api/payment/stripe/webhook`;
+  const response = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    validateStatus: () => true
+  });
+
+  console.log(`${type} (${values.eventId}) -> ${response.status}`, response.data);
+  process.exit(response.status < 300 ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('Could not send webhook:', error.message);
+  process.exit(1);
+});
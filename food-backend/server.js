@@ -1,16 +1,39 @@
+// Load and validate the configuration before anything reads it
+let config;
+try {
+  config = require('./config');
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const bodyParser = require('body-parser');
 const menuRoutes = require('./routes/menu');
 const authRoutes = require('./routes/auth');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payment');
 const reservationRoutes = require('./routes/reservations');
+const eventRoutes = require('./routes/events');
+const kitchenRoutes = require('./routes/kitchen');
+const couponRoutes = require('./routes/coupons');
+const tableRoutes = require('./routes/tables');
+const categoryRoutes = require('./routes/categories');
+const { startJobs } = require('./jobs');
+const { checkMailTransport } = require('./utils/mailer');
+const { checkNotifierChannels } = require('./utils/notifier');
 
-// Load environment variables
-dotenv.config();
+// Transports and channels are registered by the time the modules above are loaded,
+// so a mistyped MAIL_TRANSPORT or NOTIFIER_CHANNELS stops the server here instead of at the first email
+try {
+  checkMailTransport();
+  checkNotifierChannels();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
 
@@ -33,17 +56,21 @@ app.use((req, res, next) => {
   }
 });
 
+// Keep credentials passed in the query string (e.g. the event stream token) out of the logs
+const redactUrl = (url) => url.replace(/([?&]token=)[^&]*/gi, '$1[redacted]');
+
 // Debugging middleware to log all incoming requests
 app.use((req, res, next) => {
   const startTime = Date.now();
+  const url = redactUrl(req.originalUrl);
   
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
+  console.log(`[${new Date().toISOString()}] ${req.method} ${url}`);
   
   // Log response
   const originalSend = res.send;
   res.send = function(body) {
     const duration = Date.now() - startTime;
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl} - ${res.statusCode} (${duration}ms)`);
+    console.log(`[${new Date().toISOString()}] ${req.method} ${url} - ${res.statusCode} (${duration}ms)`);
     
     // If there was an error, log more details
     if (res.statusCode >= 400) {
@@ -57,11 +84,14 @@ app.use((req, res, next) => {
 });
 
 // MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/food_delivery', {
+mongoose.connect(config.mongodbUri, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startJobs();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Test connection endpoint
@@ -75,14 +105,19 @@ app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/kitchen', kitchenRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/categories', categoryRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Global error handler:', err);
   res.status(500).json({ 
     message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'production' ? 'Server error' : err.message,
-    stack: process.env.NODE_ENV === 'production' ? null : err.stack
+    error: config.isProduction ? 'Server error' : err.message,
+    stack: config.isProduction ? null : err.stack
   });
 });
 
@@ -91,7 +126,7 @@ app.use((req, res) => {
   res.status(404).json({ message: 'Endpoint not found' });
 });
 
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 }); 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const { allocateTables } = require('./tableAllocator');
+const { listSlotTimes, validateReservationTime } = require('./schedule');
+const { withLock } = require('./lock');
+const { RELEASED_RESERVATION_STATUSES } = require('./reservationStatus');
+
+// Run table allocation one request at a time across every server instance,
+// so two bookings cannot take the same table
+const withReservationLock = (fn) => withLock('reservations', fn);
+
+const tableNumbersOf = (reservation) =>
+  reservation.tables?.length ? reservation.tables : [reservation.tableNumber].filter(Boolean);
+
+// Table numbers held by active reservations whose seating overlaps the given window
+const getOccupiedTableNumbers = async ({ startAt, endAt, excludeId }) => {
+  const filter = {
+    status: { $nin: RELEASED_RESERVATION_STATUSES },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const reservations = await Reservation.find(filter).select('tables tableNumber');
+  return reservations.flatMap(tableNumbersOf);
+};
+
+/**
+ * Check table occupancy for a seating window and try to seat a party.
+ * `tables` is the allocation (null when the party does not fit).
+ */
+const findTablesFor = async ({ startAt, endAt, guests, excludeId }) => {
+  const [tables, occupied] = await Promise.all([
+    Table.find({ isActive: true }),
+    getOccupiedTableNumbers({ startAt, endAt, excludeId })
+  ]);
+
+  const occupiedSet = new Set(occupied);
+  const freeTables = tables.filter(table => !occupiedSet.has(table.number));
+
+  return {
+    tables: guests ? allocateTables(tables, guests, occupied) : null,
+    freeTables
+  };
+};
+
+// Times on a date at which a party of `guests` can still be seated
+const findAvailableSlots = async (schedule, { date, guests }) => {
+  const windows = listSlotTimes(schedule, date)
+    .map(time => ({ time, ...validateReservationTime(schedule, { date, time, guests }) }));
+
+  if (windows.length === 0) return [];
+
+  // Load the day's tables and reservations once, then check every slot in memory
+  const [tables, reservations] = await Promise.all([
+    Table.find({ isActive: true }),
+    Reservation.find({
+      status: { $nin: RELEASED_RESERVATION_STATUSES },
+      startAt: { $lt: windows[windows.length - 1].endAt },
+      endAt: { $gt: windows[0].startAt }
+    }).select('tables tableNumber startAt endAt')
+  ]);
+
+  return windows
+    .filter(({ startAt, endAt }) => {
+      const occupied = reservations
+        .filter(reservation => reservation.startAt < endAt && reservation.endAt > startAt)
+        .flatMap(tableNumbersOf);
+      return Boolean(allocateTables(tables, guests, occupied));
+    })
+    .map(({ time }) => time);
+};
+
+module.exports = {
+  withReservationLock,
+  getOccupiedTableNumbers,
+  findTablesFor,
+  findAvailableSlots
+};
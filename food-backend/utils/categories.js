@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+class CategoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CategoryError';
+    this.status = status;
+  }
+}
+
+// Look a category up by id or slug
+const findCategory = (idOrSlug) => {
+  if (!idOrSlug) return null;
+  return mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? Category.findById(idOrSlug)
+    : Category.findOne({ slug: String(idOrSlug).toLowerCase() });
+};
+
+// The id of the category a dish should point at; throws for unknown categories
+const resolveCategoryId = async (idOrSlug) => {
+  const category = await findCategory(idOrSlug);
+  if (!category) {
+    throw new CategoryError(`Category ${idOrSlug} not found`);
+  }
+  return category._id;
+};
+
+// A category and all of its subcategories, so filtering by "drinks" also finds "juices"
+const getCategoryTreeIds = async (idOrSlug) => {
+  const category = await findCategory(idOrSlug);
+  if (!category) return [];
+
+  const ids = [category._id];
+  let parents = [category._id];
+  while (parents.length > 0) {
+    const children = await Category.find({ parent: { $in: parents } }).select('_id').lean();
+    parents = children.map(child => child._id).filter(id => !ids.some(known => known.equals(id)));
+    ids.push(...parents);
+  }
+  return ids;
+};
+
+// Reject parents that do not exist or would make the category its own ancestor
+const checkParent = async (categoryId, parentId) => {
+  if (!parentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw new CategoryError('Invalid parent category');
+  }
+
+  let current = await Category.findById(parentId).select('parent').lean();
+  if (!current) {
+    throw new CategoryError('Parent category not found');
+  }
+
+  const parent = current._id;
+  while (current) {
+    if (categoryId && current._id.equals(categoryId)) {
+      throw new CategoryError('A category cannot be placed under itself or one of its subcategories');
+    }
+    current = current.parent ? await Category.findById(current.parent).select('parent').lean() : null;
+  }
+  return parent;
+};
+
+module.exports = {
+  CategoryError,
+  findCategory,
+  resolveCategoryId,
+  getCategoryTreeIds,
+  checkParent
+};
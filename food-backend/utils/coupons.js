@@ -0,0 +1,155 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Error raised when a coupon cannot be applied
+class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+// Find a coupon by code and make sure this user may still use it
+const findValidCoupon = async (code, userId, now = new Date()) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Invalid coupon code', 404);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new CouponError('This coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  if (userId && coupon.usageLimitPerUser) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: 'active' });
+    if (used >= coupon.usageLimitPerUser) {
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+
+  return coupon;
+};
+
+/**
+ * Work out what a coupon takes off priced order lines.
+ * Returns the discount on the items and the part of the delivery fee that is waived.
+ */
+const calculateCouponDiscount = (coupon, lines, subtotal, deliveryFee) => {
+  if (subtotal < coupon.minOrderValue) {
+    throw new CouponError(`This coupon requires a minimum order of ${coupon.minOrderValue}`);
+  }
+
+  const scopedItems = coupon.menuItems.map(id => id.toString());
+  const isScoped = coupon.categories.length > 0 || scopedItems.length > 0;
+  const eligibleSubtotal = isScoped
+    ? lines
+      .filter(line => coupon.categories.includes(line.category) || scopedItems.includes(line.menuItem))
+      .reduce((sum, line) => sum + line.lineTotal, 0)
+    : subtotal;
+
+  if (coupon.type === 'free-delivery') {
+    return { itemDiscount: 0, deliveryDiscount: deliveryFee };
+  }
+
+  if (eligibleSubtotal === 0) {
+    throw new CouponError('This coupon does not apply to any item in your order');
+  }
+
+  let itemDiscount = coupon.type === 'percentage'
+    ? eligibleSubtotal * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.type === 'percentage' && coupon.maxDiscount) {
+    itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+  }
+
+  return {
+    itemDiscount: Math.min(itemDiscount, eligibleSubtotal),
+    deliveryDiscount: 0
+  };
+};
+
+/**
+ * Record a coupon redemption for an order.
+ * The global limit is enforced by a conditional increment, the per-user limit by
+ * checking again after inserting, so concurrent checkouts cannot both win.
+ */
+const redeemCoupon = async (coupon, { userId, orderId, discount }) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: coupon._id,
+      code: coupon.code,
+      user: userId,
+      order: orderId,
+      discount
+    });
+  } catch (error) {
+    // Give the claimed use back, otherwise a failed checkout would use up the coupon
+    await Coupon.updateOne(
+      { _id: coupon._id, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    throw error;
+  }
+
+  if (coupon.usageLimitPerUser) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: 'active' });
+    if (used > coupon.usageLimitPerUser) {
+      await releaseCouponRedemption(orderId);
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+
+  return redemption;
+};
+
+// Give back the coupon use of an order (e.g. when it is cancelled)
+const releaseCouponRedemption = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { status: 'reversed', reversedAt: new Date() },
+    { new: true }
+  );
+
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+
+  return redemption;
+};
+
+module.exports = {
+  CouponError,
+  findValidCoupon,
+  calculateCouponDiscount,
+  redeemCoupon,
+  releaseCouponRedemption
+};
@@ -0,0 +1,134 @@
+const config = require('../config');
+const { hoursUntilReservation } = require('./schedule');
+const { getPaymentProvider } = require('./paymentProviders');
+
+// Deposit policy (see config/schema.js)
+const DEPOSIT_PARTY_SIZE = config.deposits.partySize;
+const DEPOSIT_OCCASIONS = config.deposits.occasions;
+const DEPOSIT_PER_GUEST = config.deposits.perGuest;
+// Deposits are refunded when the reservation is cancelled at least this long before it starts
+const DEPOSIT_REFUND_CUTOFF_HOURS = config.deposits.refundCutoffHours;
+// Hours a guest has to pay a deposit before the reservation is released
+const DEPOSIT_PAYMENT_HOURS = config.deposits.paymentHours;
+
+/**
+ * Work out whether a booking needs a deposit and how much.
+ * `restriction` is the guest's booking restriction from their no-show history.
+ */
+const getDepositRequirement = ({ guests, occasion, restriction }) => {
+  let reason = null;
+  if (restriction === 'deposit') reason = 'no-show-history';
+  else if (guests >= DEPOSIT_PARTY_SIZE) reason = 'large-party';
+  else if (DEPOSIT_OCCASIONS.includes(occasion)) reason = 'special-occasion';
+
+  return reason
+    ? { required: true, reason, amount: guests * DEPOSIT_PER_GUEST, status: 'pending' }
+    : { required: false, status: 'not-required' };
+};
+
+// When an unpaid deposit is due: DEPOSIT_PAYMENT_HOURS from now, but no later than the reservation starts
+const depositPaymentDeadline = (startAt, now = new Date()) =>
+  new Date(Math.min(now.getTime() + DEPOSIT_PAYMENT_HOURS * 60 * 60 * 1000, new Date(startAt).getTime()));
+
+// Deposit the guest has paid so far (older reservations only record that it was paid)
+const paidDepositAmount = (deposit) => {
+  if (!deposit?.paidAt) return 0;
+  if (deposit.paidAmount !== undefined && deposit.paidAmount !== null) return deposit.paidAmount;
+  return deposit.required ? deposit.amount : 0;
+};
+
+/**
+ * Bring the deposit of an existing reservation in line with a new requirement (see
+ * getDepositRequirement), e.g. after the party grew. An unpaid deposit simply follows the
+ * requirement. When a paid deposit no longer covers it, the guest owes the difference and
+ * the reservation goes back to pending until it is paid. A paid deposit is never lowered.
+ * The caller saves the reservation.
+ */
+const applyDepositRequirement = (reservation, requirement) => {
+  const { deposit } = reservation;
+  if (['refunded', 'forfeited'].includes(deposit.status)) return;
+
+  if (deposit.paidAt) {
+    const paid = paidDepositAmount(deposit);
+    deposit.paidAmount = paid;
+    if (requirement.required && requirement.amount > paid) {
+      deposit.required = true;
+      deposit.reason = requirement.reason;
+      deposit.amount = requirement.amount;
+      deposit.status = 'pending';
+    } else {
+      // Shrinking the party again settles a top-up that was still open, as a payment would
+      if (deposit.status === 'pending' && reservation.status === 'pending') reservation.status = 'confirmed';
+      deposit.amount = paid;
+      deposit.status = 'paid';
+    }
+  } else {
+    const hasPreOrder = (reservation.preOrder?.total || 0) > 0;
+    deposit.required = requirement.required;
+    deposit.reason = requirement.reason;
+    deposit.amount = requirement.amount || 0;
+    deposit.status = requirement.required || hasPreOrder ? 'pending' : 'not-required';
+
+    // A deposit that became due gets its own deadline; one already due keeps it
+    if (deposit.status === 'pending') {
+      const deadline = depositPaymentDeadline(reservation.startAt);
+      deposit.payBy = deposit.payBy && deposit.payBy < deadline ? deposit.payBy : deadline;
+    } else {
+      deposit.payBy = undefined;
+    }
+  }
+
+  if (deposit.status === 'pending' && reservation.status === 'confirmed') {
+    reservation.status = 'pending';
+  }
+};
+
+// Stripe payments made for a reservation, oldest first
+const depositPayments = (deposit) => (deposit.payments?.length
+  ? deposit.payments
+  : [{ paymentIntentId: deposit.paymentIntentId }]);
+
+/**
+ * Settle the online payment (deposit plus pre-order) of a cancelled reservation.
+ * Cancelled early enough, everything is refunded through Stripe; later, only the
+ * pre-order is refunded and the deposit is kept. The caller saves the reservation.
+ */
+const settleDepositOnCancellation = async (reservation, { forceRefund = false } = {}) => {
+  const { deposit } = reservation;
+  // A top-up may still be pending, but what was paid before is settled all the same
+  if (!deposit?.paidAt || ['refunded', 'forfeited'].includes(deposit.status)) return null;
+
+  const keepDeposit = deposit.required && !forceRefund
+    && hoursUntilReservation(reservation) < DEPOSIT_REFUND_CUTOFF_HOURS;
+  const preOrderTotal = reservation.preOrder?.total || 0;
+
+  if (keepDeposit && preOrderTotal === 0) {
+    deposit.status = 'forfeited';
+    return null;
+  }
+
+  // The pre-order was paid with the first payment; a kept deposit only gives that back
+  const payments = keepDeposit ? depositPayments(deposit).slice(0, 1) : depositPayments(deposit);
+  const refunds = [];
+  for (const payment of payments) {
+    const refund = await getPaymentProvider('stripe')
+      .refundReservationPayment(reservation, payment.paymentIntentId, keepDeposit ? preOrderTotal : undefined);
+    payment.refundId = refund.id;
+    refunds.push(refund);
+  }
+
+  deposit.status = keepDeposit ? 'forfeited' : 'refunded';
+  deposit.refundId = refunds[0].id;
+  deposit.refundedAt = new Date();
+  return refunds[0];
+};
+
+module.exports = {
+  DEPOSIT_PER_GUEST,
+  DEPOSIT_REFUND_CUTOFF_HOURS,
+  DEPOSIT_PAYMENT_HOURS,
+  getDepositRequirement,
+  depositPaymentDeadline,
+  applyDepositRequirement,
+  settleDepositOnCancellation
+};
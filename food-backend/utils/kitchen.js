@@ -0,0 +1,91 @@
+// Stations a category's dishes can be sent to (see Category.station)
+const KITCHEN_STATIONS = ['pizza-oven', 'grill', 'fryer', 'stove', 'dessert', 'expo'];
+
+// Where dishes go when their category has no station of its own
+const DEFAULT_STATION = 'expo';
+
+// Orders that are still being worked on by the kitchen
+const KITCHEN_ORDER_STATUSES = ['confirmed', 'preparing', 'ready'];
+
+// Order lines keep the station of their dish's category at the time of ordering
+const stationForItem = (item) => (KITCHEN_STATIONS.includes(item.station) ? item.station : DEFAULT_STATION);
+
+// The moment the order reached the kitchen (when it was confirmed)
+const firedAt = (order) => {
+  const confirmed = order.statusHistory.find(entry => entry.status === 'confirmed');
+  return confirmed ? confirmed.timestamp : order.createdAt;
+};
+
+/**
+ * Split orders into one ticket per station.
+ * A ticket is late once its slowest dish has been cooking longer than its preparation time,
+ * or once the order's promised time has passed.
+ */
+const buildTickets = (orders, now = new Date()) => {
+  const tickets = [];
+
+  orders.forEach(order => {
+    const itemsByStation = new Map();
+    order.items.forEach(item => {
+      const station = stationForItem(item);
+      if (!itemsByStation.has(station)) itemsByStation.set(station, []);
+      itemsByStation.get(station).push(item);
+    });
+
+    const started = firedAt(order);
+
+    itemsByStation.forEach((items, station) => {
+      const preparationTime = Math.max(...items.map(item => item.preparationTime || 0));
+      const dueAt = new Date(new Date(started).getTime() + preparationTime * 60 * 1000);
+      const bumpedAt = items.every(item => item.bumpedAt)
+        ? new Date(Math.max(...items.map(item => new Date(item.bumpedAt).getTime())))
+        : null;
+      const promisedAt = order.promisedAt || dueAt;
+
+      tickets.push({
+        id: `${order._id}:${station}`,
+        orderId: order._id,
+        station,
+        status: order.status,
+        items: items.map(item => ({
+          _id: item._id,
+          name: item.name,
+          quantity: item.quantity,
+          modifiers: (item.modifiers || []).map(modifier => modifier.option),
+          bumpedAt: item.bumpedAt
+        })),
+        specialInstructions: order.specialInstructions,
+        firedAt: started,
+        preparationTime,
+        dueAt,
+        promisedAt,
+        bumpedAt,
+        late: !bumpedAt && (now > dueAt || now > promisedAt),
+        minutesRemaining: Math.round((dueAt - now) / 60000)
+      });
+    });
+  });
+
+  return tickets.sort((a, b) => new Date(a.promisedAt) - new Date(b.promisedAt));
+};
+
+// Group tickets into station queues, keeping every known station even when empty
+const groupByStation = (tickets) => {
+  const queues = new Map(KITCHEN_STATIONS.map(station => [station, []]));
+  tickets.forEach(ticket => queues.get(ticket.station).push(ticket));
+
+  return [...queues.entries()].map(([station, stationTickets]) => ({
+    station,
+    tickets: stationTickets,
+    lateCount: stationTickets.filter(ticket => ticket.late).length
+  }));
+};
+
+module.exports = {
+  KITCHEN_STATIONS,
+  DEFAULT_STATION,
+  KITCHEN_ORDER_STATUSES,
+  stationForItem,
+  buildTickets,
+  groupByStation
+};
@@ -0,0 +1,65 @@
+const { v4: uuidv4 } = require('uuid');
+const Lock = require('../models/Lock');
+
+// Defaults for how long a lease lasts and how long to wait for one
+const LEASE_MS = 30000;
+const WAIT_MS = 10000;
+const RETRY_MS = 50;
+
+// Error raised when a lock stays taken for longer than the caller is willing to wait
+class LockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LockError';
+    this.status = 409;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take the lease on `key` if it is free or its holder's lease has run out.
+ * When someone else holds it, the upsert collides with the unique key and nothing changes.
+ */
+const tryAcquire = async (key, owner, leaseMs) => {
+  const now = new Date();
+  try {
+    await Lock.findOneAndUpdate(
+      { key, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + leaseMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Mutex kept in MongoDB: calls with the same key run one after another, also when they
+ * arrive at different server instances. A lease ends after `leaseMs` even if its holder never
+ * releases it, so `fn` has to finish well within that time.
+ */
+const withLock = async (key, fn, { leaseMs = LEASE_MS, waitMs = WAIT_MS } = {}) => {
+  const owner = uuidv4();
+  const giveUpAt = Date.now() + waitMs;
+
+  while (!await tryAcquire(key, owner, leaseMs)) {
+    if (Date.now() >= giveUpAt) {
+      throw new LockError('Another request is updating this right now, please try again');
+    }
+    await sleep(RETRY_MS + Math.random() * RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Lock.deleteOne({ key, owner });
+  }
+};
+
+module.exports = {
+  LockError,
+  withLock
+};
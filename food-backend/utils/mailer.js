@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+// Hide the tokens in verification and password reset links, which stay usable until they expire
+const redactTokens = (content) => content && content.replace(/([?&]token=)[^&\s"'<]+/gi, '$1[redacted]');
+
+/**
+ * Pluggable mailer. A transport is an object with a `send(message)` method;
+ * the active one is picked with MAIL_TRANSPORT (defaults to `console`).
+ */
+const transports = {
+  // Print emails to the server log, without the tokens in their links
+  console: () => ({
+    send: async (message) => {
+      const logged = { ...message, text: redactTokens(message.text), html: redactTokens(message.html) };
+      console.log('[mailer] Email:', JSON.stringify(logged, null, 2));
+      return { transport: 'console' };
+    }
+  }),
+
+  // Write each email as a JSON file, handy for local development and manual testing
+  file: () => {
+    const outbox = config.mail.outboxDir || path.join(__dirname, '..', 'mail-outbox');
+    return {
+      send: async (message) => {
+        await fs.mkdir(outbox, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+        const filePath = path.join(outbox, fileName);
+        await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { transport: 'file', path: filePath };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Add a transport (e.g. SMTP) without touching the callers; select it with MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+// Make sure MAIL_TRANSPORT names a registered transport; the server checks this on startup
+const checkMailTransport = () => {
+  const name = config.mail.transport;
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name} (available: ${Object.keys(transports).join(', ')})`);
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    checkMailTransport();
+    activeTransport = transports[config.mail.transport]();
+  }
+  return activeTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => getTransport().send({
+  from: config.mail.from,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  checkMailTransport
+};
@@ -0,0 +1,357 @@
+const Menu = require('../models/Menu');
+const Category = require('../models/Category');
+
+/**
+ * Menu search. Dishes are kept in an in-memory inverted index (a restaurant menu is small),
+ * which gives typo tolerance, prefix matching for autocomplete and facet counts without
+ * ever turning user input into a regular expression.
+ *
+ * The index is rebuilt when dishes or categories change: every search compares the number of
+ * documents and the latest `updatedAt` of both collections with the ones the index was built
+ * from, so it also stays fresh when several server instances share the database.
+ */
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 4,
+  category: 3,
+  description: 2,
+  allergens: 1,
+  details: 1
+};
+
+// How much a looser match counts compared to an exact one
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6,
+  twoTypos: 0.4
+};
+
+const PRICE_BUCKETS = [
+  { key: 'under-5', label: 'Under 5', min: 0, max: 5 },
+  { key: '5-10', label: '5 to 10', min: 5, max: 10 },
+  { key: '10-15', label: '10 to 15', min: 10, max: 15 },
+  { key: '15-plus', label: '15 and more', min: 15, max: Infinity }
+];
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'with', 'of', 'in', 'on', 'for', 'or']);
+
+// Lowercase words without accents, e.g. "Crème Brûlée!" -> ['creme', 'brulee']
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(term => term.length > 0 && !STOP_WORDS.has(term));
+
+// Levenshtein distance, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Longer words may contain more typos
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+const buildIndex = (dishes) => {
+  const postings = new Map();
+  const dishesById = new Map();
+
+  dishes.forEach(dish => {
+    const id = dish._id.toString();
+    dishesById.set(id, dish);
+
+    const fields = {
+      name: dish.name,
+      tags: (dish.tags || []).join(' '),
+      category: dish.category ? `${dish.category.name} ${dish.category.slug}` : '',
+      description: dish.description,
+      allergens: (dish.allergens || []).join(' '),
+      details: dish.details
+    };
+
+    // A word counts once per field, so long descriptions do not drown out names
+    const termScores = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      new Set(tokenize(text)).forEach(term => {
+        termScores.set(term, (termScores.get(term) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+    termScores.forEach((score, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, score);
+    });
+  });
+
+  return { postings, dishesById, terms: [...postings.keys()] };
+};
+
+let cached = null;
+let building = null;
+
+// Cheap fingerprint of the data the index was built from
+const getSignature = async () => {
+  const [menuCount, latestMenu, categoryCount, latestCategory] = await Promise.all([
+    Menu.countDocuments(),
+    Menu.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Category.countDocuments(),
+    Category.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+  ]);
+  return [menuCount, latestMenu?.updatedAt?.getTime(), categoryCount, latestCategory?.updatedAt?.getTime()].join(':');
+};
+
+const getIndex = async () => {
+  const signature = await getSignature();
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  if (!building) {
+    building = Menu.find()
+      .populate('category', 'name slug')
+      .then(dishes => {
+        cached = { signature, ...buildIndex(dishes) };
+        return cached;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+/**
+ * Find the indexed terms a query term may stand for: the term itself, words it is the start of
+ * (for the word being typed) and words within a typo or two.
+ */
+const expandTerm = (index, term, { prefix = false } = {}) => {
+  const matches = new Map();
+  const maxTypos = allowedTypos(term);
+
+  if (index.postings.has(term)) {
+    matches.set(term, MATCH_WEIGHTS.exact);
+  }
+
+  index.terms.forEach(candidate => {
+    if (candidate === term) return;
+
+    if (prefix && term.length >= 2 && candidate.startsWith(term)) {
+      matches.set(candidate, Math.max(matches.get(candidate) || 0, MATCH_WEIGHTS.prefix));
+      return;
+    }
+
+    if (maxTypos > 0) {
+      const distance = editDistance(term, candidate, maxTypos);
+      if (distance <= maxTypos) {
+        const weight = distance === 1 ? MATCH_WEIGHTS.typo : MATCH_WEIGHTS.twoTypos;
+        matches.set(candidate, Math.max(matches.get(candidate) || 0, weight));
+      }
+    }
+  });
+
+  return matches;
+};
+
+// Relevance of every dish matching all query terms, plus the spelling the index understood
+const scoreDishes = (index, terms, { prefix }) => {
+  let scores = null;
+  const corrected = [];
+
+  terms.forEach((term, position) => {
+    const expansions = expandTerm(index, term, { prefix: prefix && position === terms.length - 1 });
+    const termScores = new Map();
+
+    expansions.forEach((weight, candidate) => {
+      index.postings.get(candidate).forEach((fieldScore, id) => {
+        termScores.set(id, Math.max(termScores.get(id) || 0, fieldScore * weight));
+      });
+    });
+
+    // Report the best-matching spelling, e.g. "piza" -> "pizza"
+    const best = [...expansions.entries()].sort((a, b) => b[1] - a[1] || index.postings.get(b[0]).size - index.postings.get(a[0]).size)[0];
+    corrected.push(best ? best[0] : term);
+
+    // Every term has to match
+    scores = scores === null
+      ? termScores
+      : new Map([...scores].filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]));
+  });
+
+  return { scores: scores || new Map(), corrected };
+};
+
+const priceBucketOf = (price) => PRICE_BUCKETS.find(bucket => price >= bucket.min && price < bucket.max);
+
+// Filters that can be applied to search results; each facet ignores its own filter
+const FILTERS = {
+  category: (dish, categoryIds) => dish.category && categoryIds.has(dish.category._id.toString()),
+  price: (dish, bucket) => dish.price >= bucket.min && dish.price < bucket.max,
+  minPrice: (dish, min) => dish.price >= min,
+  maxPrice: (dish, max) => dish.price <= max,
+  vegetarian: (dish, value) => Boolean(dish.isVegetarian) === value,
+  spicyLevel: (dish, level) => dish.spicyLevel === level,
+  excludeAllergens: (dish, allergens) => !(dish.allergens || []).some(allergen => allergens.includes(allergen)),
+  available: (dish, value) => Boolean(dish.isAvailable) === value
+};
+
+const FACET_FILTERS = {
+  category: ['category'],
+  price: ['price', 'minPrice', 'maxPrice'],
+  vegetarian: ['vegetarian'],
+  spicyLevel: ['spicyLevel'],
+  allergens: ['excludeAllergens']
+};
+
+const applyFilters = (dishes, filters, skip = []) => dishes.filter(dish => Object.entries(filters)
+  .every(([name, value]) => skip.includes(name) || FILTERS[name](dish, value)));
+
+const countBy = (dishes, keysOf) => {
+  const counts = new Map();
+  dishes.forEach(dish => keysOf(dish).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+  return counts;
+};
+
+const buildFacets = (dishes, filters) => {
+  const facetDishes = (facet) => applyFilters(dishes, filters, FACET_FILTERS[facet]);
+
+  const categories = new Map();
+  facetDishes('category').forEach(dish => {
+    if (!dish.category) return;
+    const { slug, name } = dish.category;
+    categories.set(slug, { slug, name, count: (categories.get(slug)?.count || 0) + 1 });
+  });
+
+  const prices = countBy(facetDishes('price'), dish => [priceBucketOf(dish.price)?.key].filter(Boolean));
+  const vegetarian = countBy(facetDishes('vegetarian'), dish => [Boolean(dish.isVegetarian)]);
+  const spicyLevels = countBy(facetDishes('spicyLevel'), dish => [dish.spicyLevel].filter(Boolean));
+  const allergens = countBy(facetDishes('allergens'), dish => dish.allergens || []);
+
+  return {
+    category: [...categories.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    price: PRICE_BUCKETS.map(({ key, label }) => ({ key, label, count: prices.get(key) || 0 })),
+    vegetarian: { true: vegetarian.get(true) || 0, false: vegetarian.get(false) || 0 },
+    spicyLevel: [...spicyLevels].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count),
+    allergens: [...allergens].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count)
+  };
+};
+
+// Most relevant first; equally relevant dishes by rating, then by name
+const byRelevance = (scores) => (a, b) => (scores.get(b._id.toString()) || 0) - (scores.get(a._id.toString()) || 0)
+  || (b.rating || 0) - (a.rating || 0)
+  || a.name.localeCompare(b.name);
+
+const parseQuery = (query) => tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH)).slice(0, MAX_QUERY_TERMS);
+
+/**
+ * Search dishes. `filters` are already parsed (see parseSearchFilters in routes/menu.js):
+ * { category: Set<id>, price: bucket, minPrice, maxPrice, vegetarian, spicyLevel, excludeAllergens, available }.
+ * Without a query every dish matches, which gives plain faceted browsing.
+ */
+const searchMenu = async (query, { filters = {}, page = 1, limit = 12, prefix = true } = {}) => {
+  const index = await getIndex();
+  const terms = parseQuery(query);
+
+  let matched;
+  let scores = new Map();
+  let correctedQuery = null;
+
+  if (terms.length > 0) {
+    const result = scoreDishes(index, terms, { prefix });
+    scores = result.scores;
+    matched = [...scores.keys()].map(id => index.dishesById.get(id));
+    const corrected = result.corrected.join(' ');
+    if (corrected !== terms.join(' ')) correctedQuery = corrected;
+  } else {
+    // Only a blank query browses everything; one made of stop words or symbols finds nothing
+    matched = String(query || '').trim() === '' ? [...index.dishesById.values()] : [];
+  }
+
+  const results = applyFilters(matched, filters).sort(byRelevance(scores));
+  const start = (page - 1) * limit;
+
+  return {
+    query: terms.join(' '),
+    correctedQuery,
+    data: results.slice(start, start + limit).map(dish => ({
+      ...dish.toJSON(),
+      score: Math.round((scores.get(dish._id.toString()) || 0) * 100) / 100
+    })),
+    page,
+    limit,
+    total: results.length,
+    facets: buildFacets(matched, filters)
+  };
+};
+
+// Ids of every dish matching the query, most relevant first (for filtering other listings)
+const findMatchingDishIds = async (query) => {
+  const index = await getIndex();
+  const terms = parseQuery(query);
+  if (terms.length === 0) return null;
+
+  const { scores } = scoreDishes(index, terms, { prefix: true });
+  return [...scores.keys()]
+    .map(id => index.dishesById.get(id))
+    .sort(byRelevance(scores))
+    .map(dish => dish._id);
+};
+
+// Autocomplete: dishes and categories for what has been typed so far
+const suggest = async (query, { limit = 8 } = {}) => {
+  const index = await getIndex();
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const { scores } = scoreDishes(index, terms, { prefix: true });
+  const dishes = [...scores.keys()]
+    .map(id => index.dishesById.get(id))
+    .sort(byRelevance(scores));
+
+  const categories = new Map();
+  dishes.forEach(dish => {
+    if (dish.category && !categories.has(dish.category.slug)) {
+      const categoryTerms = tokenize(`${dish.category.name} ${dish.category.slug}`);
+      if (terms.every(term => categoryTerms.some(categoryTerm => categoryTerm.startsWith(term)))) {
+        categories.set(dish.category.slug, { type: 'category', text: dish.category.name, slug: dish.category.slug });
+      }
+    }
+  });
+
+  return [
+    ...categories.values(),
+    ...dishes.map(dish => ({ type: 'dish', text: dish.name, id: dish._id }))
+  ].slice(0, limit);
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  MAX_QUERY_LENGTH,
+  tokenize,
+  editDistance,
+  buildIndex,
+  searchMenu,
+  findMatchingDishIds,
+  suggest
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * Migration files live in migrations/ and are named `<version>-<name>.js`, e.g.
+ * `20261019000000-merge-menu-items.js`; they run in file name order. Each exports
+ * `{ description, up(context), down(context) }` where context is `{ db, state }`:
+ * `db` is the native database (migrations should not depend on the current models)
+ * and `state` is what `up` returned, so `down` knows what to undo.
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+  .sort()
+  .map(file => {
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new MigrationError(`Migration ${file} must export up and down functions`);
+    }
+    return { name: path.basename(file, '.js'), ...migration };
+  });
+
+// Every known migration with the date it was applied, or null while pending
+const getMigrationStatus = async () => {
+  const applied = await Migration.find().lean();
+  const appliedByName = new Map(applied.map(record => [record.name, record]));
+
+  return loadMigrations().map(({ name, description }) => ({
+    name,
+    description,
+    appliedAt: appliedByName.get(name)?.appliedAt || null
+  }));
+};
+
+// Apply pending migrations in order, up to and including `to` when given
+const migrateUp = async ({ to } = {}) => {
+  const migrations = loadMigrations();
+  if (to && !migrations.some(migration => migration.name === to)) {
+    throw new MigrationError(`Unknown migration: ${to}`);
+  }
+
+  const appliedNames = new Set((await Migration.find().select('name').lean()).map(record => record.name));
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (!appliedNames.has(migration.name)) {
+      const state = await migration.up({ db: mongoose.connection.db, state: null });
+      await Migration.create({
+        name: migration.name,
+        description: migration.description,
+        state: state === undefined ? null : state
+      });
+      applied.push(migration.name);
+    }
+    if (migration.name === to) break;
+  }
+
+  return applied;
+};
+
+// Roll back the most recently applied migrations, newest first
+const migrateDown = async ({ steps = 1 } = {}) => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+  const records = await Migration.find().sort({ name: -1 }).limit(steps);
+  const rolledBack = [];
+
+  for (const record of records) {
+    const migration = migrations.get(record.name);
+    if (!migration) {
+      throw new MigrationError(`Migration file for ${record.name} is missing, cannot roll it back`);
+    }
+    await migration.down({ db: mongoose.connection.db, state: record.state });
+    await record.deleteOne();
+    rolledBack.push(record.name);
+  }
+
+  return rolledBack;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+};
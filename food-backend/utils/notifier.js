@@ -0,0 +1,45 @@
+const config = require('../config');
+const { sendMail } = require('./mailer');
+
+/**
+ * Pluggable notifier. Each channel is an async function receiving the notification;
+ * the active ones are picked with NOTIFIER_CHANNELS (comma separated, defaults to `email`).
+ */
+const channels = {
+  email: async ({ email, subject, message, html }) => {
+    if (!email) return;
+    await sendMail({ to: email, subject, text: message, html });
+  },
+  console: async (notification) => {
+    console.log('[notifier] Notification:', JSON.stringify(notification, null, 2));
+  }
+};
+
+// Add a channel (e.g. SMS) without touching the callers; list its name in NOTIFIER_CHANNELS to select it
+const registerChannel = (name, send) => {
+  channels[name] = send;
+};
+
+const activeChannels = () => config.notifier.channels;
+
+// Make sure every name in NOTIFIER_CHANNELS is a registered channel; the server checks this on startup
+const checkNotifierChannels = () => {
+  const unknown = activeChannels().filter(name => !channels[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notifier channels: ${unknown.join(', ')} (available: ${Object.keys(channels).join(', ')})`);
+  }
+};
+
+// Send a notification ({ email, phone, subject, message, html }) through every active channel
+const notify = async (notification) => {
+  checkNotifierChannels();
+  for (const name of activeChannels()) {
+    await channels[name](notification);
+  }
+};
+
+module.exports = {
+  notify,
+  registerChannel,
+  checkNotifierChannels
+};
@@ -0,0 +1,33 @@
+const EventEmitter = require('events');
+
+// In-process bus for order updates, consumed by the live tracking streams
+const orderEvents = new EventEmitter();
+
+// Every open stream adds a listener, so don't warn about many subscribers
+orderEvents.setMaxListeners(0);
+
+const ORDER_EVENT = 'order';
+
+// Publish an order change to every subscriber
+const publishOrderEvent = (type, order, extra = {}) => {
+  orderEvents.emit(ORDER_EVENT, {
+    type,
+    orderId: order._id.toString(),
+    user: order.user,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    timestamp: new Date().toISOString(),
+    ...extra
+  });
+};
+
+// Subscribe to order changes; returns a function that removes the listener
+const subscribeToOrderEvents = (listener) => {
+  orderEvents.on(ORDER_EVENT, listener);
+  return () => orderEvents.off(ORDER_EVENT, listener);
+};
+
+module.exports = {
+  publishOrderEvent,
+  subscribeToOrderEvents
+};
@@ -0,0 +1,45 @@
+const { withLock } = require('./lock');
+
+// Order lifecycle: every status and the statuses it may move to next
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['out-for-delivery', 'preparing', 'cancelled'],
+  'out-for-delivery': ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses that no longer count towards revenue
+const INACTIVE_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+// Error raised when an order is moved to a status it cannot reach
+class OrderStatusError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = 'OrderStatusError';
+    this.status = 400;
+    this.from = from;
+    this.to = to;
+    this.allowed = ORDER_TRANSITIONS[from] || [];
+  }
+}
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Changes to one order (status, kitchen tickets, payments, refunds) run one at a time,
+// across every server instance
+const withOrderLock = (orderId, fn) => withLock(`order:${orderId}`, fn);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  INACTIVE_ORDER_STATUSES,
+  OrderStatusError,
+  canTransition,
+  withOrderLock
+};
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the sort from the query: `sort=-createdAt` or `sort=createdAt&order=desc`.
+ * `sortFields` whitelists what may be sorted on; a name may stand for several fields,
+ * e.g. { date: ['date', 'time'] }. Ties are always broken by _id so the order is stable.
+ */
+const parseSort = (query, { sortFields, defaultSort }) => {
+  const raw = typeof query.sort === 'string' && query.sort !== '' ? query.sort : defaultSort;
+  const name = raw.replace(/^-/, '');
+
+  if (!Object.prototype.hasOwnProperty.call(sortFields, name)) {
+    throw new PaginationError(`Cannot sort by ${name}. Sort by one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  let direction = raw.startsWith('-') ? -1 : 1;
+  // `order=asc|desc`, as sent by older menu clients, applies when the sort has no `-`
+  if (query.order !== undefined && !raw.startsWith('-')) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      throw new PaginationError('order must be asc or desc');
+    }
+    direction = query.order === 'desc' ? -1 : 1;
+  }
+
+  return {
+    key: `${direction === -1 ? '-' : ''}${name}`,
+    fields: [...[sortFields[name]].flat(), '_id'].map(field => [field, direction])
+  };
+};
+
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  if (value === undefined || value === '') return defaultLimit;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new PaginationError('limit must be a positive whole number');
+  }
+  return Math.min(limit, maxLimit);
+};
+
+const parsePage = (value) => {
+  if (value === undefined || value === '') return 1;
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new PaginationError('page must be a positive whole number');
+  }
+  return page;
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort and the last document's sort values
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new PaginationError('Invalid cursor');
+  }
+  return value;
+};
+
+const encodeCursor = (sort, doc) => Buffer.from(JSON.stringify({
+  sort: sort.key,
+  values: sort.fields.map(([field]) => encodeValue(typeof doc.get === 'function' ? doc.get(field) : doc[field]))
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  if (!parsed || parsed.sort !== sort.key || !Array.isArray(parsed.values) || parsed.values.length !== sort.fields.length) {
+    throw new PaginationError('The cursor belongs to a different sort order; start again without it');
+  }
+  return parsed.values.map(decodeValue);
+};
+
+/**
+ * Conditions under which a field's value sorts strictly after `value`. MongoDB sorts missing
+ * and null values before everything else, and $gt/$lt never match them, so they are handled
+ * explicitly (e.g. orders without a promisedAt).
+ */
+const sortsAfter = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? [{ [field]: { $ne: null } }] : [];
+  }
+  return direction === 1
+    ? [{ [field]: { $gt: value } }]
+    : [{ [field]: { $lt: value } }, { [field]: null }];
+};
+
+// Documents that come after the cursor: (a > x) or (a = x and b > y) or ...
+const afterCursor = (sort, values) => ({
+  $or: sort.fields.flatMap(([field, direction], index) => {
+    const equalBefore = Object.fromEntries(sort.fields.slice(0, index).map(([previous], i) => [previous, values[i]]));
+    return sortsAfter(field, direction, values[index]).map(condition => ({ ...equalBefore, ...condition }));
+  })
+});
+
+/**
+ * Run a paginated find and wrap the results as { data, page, limit, total, nextCursor }.
+ *
+ * Pass `page` for offset pagination or the `cursor` from a previous response to continue
+ * after it (page is then null); `nextCursor` is null on the last page. `total` counts
+ * everything matching `filter`.
+ *
+ * Options: sortFields and defaultSort (see parseSort), defaultLimit, maxLimit and populate.
+ */
+const paginate = async (Model, filter, query, options) => {
+  const {
+    sortFields,
+    defaultSort,
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT,
+    populate
+  } = options;
+
+  const sort = parseSort(query, { sortFields, defaultSort });
+  const limit = parseLimit(query.limit, defaultLimit, maxLimit);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  const page = cursor ? null : parsePage(query.page);
+
+  const pageFilter = cursor ? { $and: [filter, afterCursor(sort, cursor)] } : filter;
+  let find = Model.find(pageFilter)
+    .sort(Object.fromEntries(sort.fields))
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+  if (populate) find = find.populate(populate);
+
+  const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+
+  // One extra document tells whether there is a next page
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    page,
+    limit,
+    total,
+    nextCursor: hasMore ? encodeCursor(sort, data[data.length - 1]) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  paginate
+};
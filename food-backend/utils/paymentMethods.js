@@ -0,0 +1,31 @@
+// Payment methods an order can use; each one has a provider in utils/paymentProviders
+const PAYMENT_METHODS = ['stripe', 'sslcommerz', 'cod'];
+
+// Names older clients send for the same methods
+const PAYMENT_METHOD_ALIASES = {
+  card: 'stripe',
+  cash: 'cod',
+  'cash-on-delivery': 'cod'
+};
+
+// Error raised by payment providers; `status` is the HTTP status to answer with
+class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+  }
+}
+
+// Map a client supplied payment method to a known one, or null
+const normalizePaymentMethod = (method) => {
+  const name = String(method || '').trim().toLowerCase();
+  const normalized = PAYMENT_METHOD_ALIASES[name] || name;
+  return PAYMENT_METHODS.includes(normalized) ? normalized : null;
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PaymentError,
+  normalizePaymentMethod
+};
@@ -0,0 +1,47 @@
+const { PaymentError } = require('../paymentMethods');
+const { markOrderPaid } = require('./common');
+
+// Cash on delivery: nothing is charged up front, the rider collects the total at the door
+
+const initiate = async (order) => ({
+  message: 'Pay the rider in cash on delivery',
+  amountDue: order.total
+});
+
+/**
+ * The rider confirms the cash was collected. This also completes the delivery,
+ * so a cash order cannot be delivered without the payment being recorded.
+ */
+const verify = async (order, { amountCollected, actor } = {}) => {
+  if (!['out-for-delivery', 'delivered'].includes(order.status)) {
+    throw new PaymentError('Cash can only be collected once the order is out for delivery');
+  }
+
+  if (Math.abs(Number(amountCollected) - order.total) > 0.01) {
+    throw new PaymentError(`The rider must collect the order total of ${order.total}`);
+  }
+
+  markOrderPaid(order, { cashCollectedBy: actor, cashCollectedAt: new Date() });
+  if (order.status === 'out-for-delivery') {
+    order.transitionTo('delivered', { actor, note: 'Cash collected' });
+  }
+};
+
+const handleWebhook = async () => {
+  throw new PaymentError('Cash on delivery has no webhooks', 404);
+};
+
+// Cash is handed back by staff, so the refund is only recorded
+const refund = async () => ({
+  providerRefundId: null,
+  status: 'succeeded'
+});
+
+module.exports = {
+  name: 'cod',
+  collectsOnDelivery: true,
+  initiate,
+  verify,
+  handleWebhook,
+  refund
+};
@@ -0,0 +1,30 @@
+const Order = require('../../models/Order');
+
+// Payment states in which an order can still be paid
+const PAYABLE_PAYMENT_STATUSES = ['pending', 'failed'];
+
+// Find the order a provider transaction belongs to
+const findOrderByTransaction = (transactionId) => (
+  transactionId ? Order.findOne({ transactionId }) : Promise.resolve(null)
+);
+
+// Record a successful payment, with any provider references (payment intent, bank transaction...)
+const markOrderPaid = (order, details = {}) => {
+  Object.assign(order, details);
+  order.paymentStatus = 'completed';
+  order.paymentError = null;
+  return order;
+};
+
+const markOrderPaymentFailed = (order, reason) => {
+  order.paymentStatus = 'failed';
+  order.paymentError = reason || 'Payment failed';
+  return order;
+};
+
+module.exports = {
+  PAYABLE_PAYMENT_STATUSES,
+  findOrderByTransaction,
+  markOrderPaid,
+  markOrderPaymentFailed
+};
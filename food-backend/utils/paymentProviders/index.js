@@ -0,0 +1,42 @@
+const { PAYMENT_METHODS, PaymentError } = require('../paymentMethods');
+const common = require('./common');
+
+/**
+ * Every payment method has a provider with the same interface:
+ *
+ *   name                          the Order.paymentMethod it handles
+ *   collectsOnDelivery            true when the rider takes the money at the door
+ *   initiate(order, context)      start a payment; returns what the client needs next (e.g. a redirect URL)
+ *   verify(order, payload)        confirm a payment and mark the order paid
+ *   handleWebhook(payload)        process a notification sent by the provider
+ *   refund(order, amount, reason) give money back; returns { providerRefundId, status }
+ *
+ * initiate, verify and refund change the order without saving it; handleWebhook finds
+ * and saves what it needs itself. Reservation deposits are paid through Stripe only, with
+ * its initiateReservation(reservation) and refundReservationPayment(reservation, paymentIntentId, amount). To add a method (e.g. bKash), add it to PAYMENT_METHODS
+ * and register its provider here.
+ */
+const PROVIDERS = {
+  stripe: require('./stripe'),
+  sslcommerz: require('./sslcommerz'),
+  cod: require('./cod')
+};
+
+const missing = PAYMENT_METHODS.filter(method => !PROVIDERS[method]);
+if (missing.length > 0) {
+  throw new Error(`No payment provider for: ${missing.join(', ')}`);
+}
+
+const getPaymentProvider = (method) => {
+  const provider = PROVIDERS[method];
+  if (!provider) {
+    throw new PaymentError(`Unsupported payment method: ${method}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  ...common,
+  PaymentError,
+  getPaymentProvider
+};
@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const paymentConfig = require('../../config/payment');
+const {
+  SSLCOMMERZ_CURRENCY,
+  SslcommerzError,
+  getSslcommerzUrl,
+  validateTransaction,
+  checkPaymentMatchesOrder,
+  verifyPayment
+} = require('../sslcommerz');
+const { PAYABLE_PAYMENT_STATUSES, findOrderByTransaction, markOrderPaid } = require('./common');
+
+const sslConfig = paymentConfig.sslcommerz;
+
+/**
+ * Open a payment session and return the gateway page to redirect to.
+ * `callbackUrl` is the base URL of the payment routes SSLCommerz calls back.
+ */
+const initiate = async (order, { customerInfo = {}, callbackUrl } = {}) => {
+  const transactionId = uuidv4();
+  const address = order.deliveryAddress || {};
+
+  const sslData = {
+    store_id: sslConfig.store_id,
+    store_passwd: sslConfig.store_passwd,
+    total_amount: order.total,
+    currency: SSLCOMMERZ_CURRENCY,
+    tran_id: transactionId,
+    success_url: `${callbackUrl}/success`,
+    fail_url: `${callbackUrl}/fail`,
+    cancel_url: `${callbackUrl}/cancel`,
+    ipn_url: `${callbackUrl}/ipn`,
+    shipping_method: 'NO',
+    product_name: 'Food Order',
+    product_category: 'Food',
+    product_profile: 'general',
+    cus_name: customerInfo.name || address.name,
+    cus_email: customerInfo.email || 'customer@example.com',
+    cus_add1: customerInfo.address || address.street,
+    cus_city: customerInfo.city || address.city,
+    cus_state: customerInfo.state || address.state,
+    cus_postcode: customerInfo.zipCode || address.zipCode,
+    cus_country: 'Bangladesh',
+    cus_phone: customerInfo.phone || '01700000000',
+    value_a: order._id.toString(), // Using value_a to store orderId for verification
+  };
+
+  // Send request to SSLCommerz (sandbox, live or the local mock) to create a payment session
+  const response = await axios.post(getSslcommerzUrl('session'), new URLSearchParams(sslData));
+
+  if (response.data.status !== 'SUCCESS') {
+    const error = new SslcommerzError('Failed to initialize payment');
+    error.details = response.data;
+    throw error;
+  }
+
+  order.transactionId = transactionId;
+  return {
+    redirectUrl: response.data.GatewayPageURL,
+    transactionId
+  };
+};
+
+// Check a payment by its validation id, e.g. when the customer lands on the success page
+const verify = async (order, { valId } = {}) => {
+  if (!valId) {
+    throw new SslcommerzError('Validation ID is required');
+  }
+
+  const payment = checkPaymentMatchesOrder(await validateTransaction(valId), order);
+  markOrderPaid(order, { bankTransactionId: payment.bank_tran_id });
+};
+
+/**
+ * Handle a success callback or IPN. The fields are only trusted once the signature
+ * and the payment have been verified. Returns the order, or null for unsuccessful payments.
+ * Both callbacks arrive for the same payment, so an order that is already paid is left alone.
+ */
+const handleWebhook = async (fields) => {
+  if (fields.status !== 'VALID') return null;
+
+  const order = await findOrderByTransaction(fields.tran_id);
+  if (!order || (fields.value_a && fields.value_a !== order._id.toString())) {
+    throw new SslcommerzError('Order not found', 404);
+  }
+
+  if (!PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return order;
+  }
+
+  const payment = await verifyPayment(fields, order);
+  markOrderPaid(order, { bankTransactionId: payment.bank_tran_id });
+  await order.save();
+  return order;
+};
+
+const refund = async (order, amount, reason) => {
+  if (!order.bankTransactionId) {
+    throw new SslcommerzError('No SSLCommerz payment is recorded for this order', 409);
+  }
+
+  const response = await axios.get(getSslcommerzUrl('refund'), {
+    params: {
+      bank_tran_id: order.bankTransactionId,
+      refund_amount: amount.toFixed(2),
+      refund_remarks: reason || 'Refund',
+      store_id: sslConfig.store_id,
+      store_passwd: sslConfig.store_passwd,
+      format: 'json'
+    }
+  });
+
+  const { APIConnect, status, refund_ref_id: refundRefId, errorReason } = response.data;
+  if (APIConnect !== 'DONE' || status === 'failed') {
+    throw new SslcommerzError(`SSLCommerz refund failed: ${errorReason || status || APIConnect}`, 502);
+  }
+
+  return {
+    providerRefundId: refundRefId,
+    status: status === 'success' ? 'succeeded' : 'pending'
+  };
+};
+
+module.exports = {
+  name: 'sslcommerz',
+  collectsOnDelivery: false,
+  initiate,
+  verify,
+  handleWebhook,
+  refund
+};
@@ -0,0 +1,227 @@
+const { v4: uuidv4 } = require('uuid');
+const stripe = require('../stripe');
+const stripeConfig = require('../../config/stripe');
+const { PaymentError } = require('../paymentMethods');
+const { processStripeEvent } = require('../stripeWebhooks');
+const { markOrderPaid } = require('./common');
+
+const toLineItem = (name, amount, quantity = 1, extra = {}) => ({
+  price_data: {
+    currency: stripeConfig.currency,
+    product_data: { name, ...extra },
+    unit_amount: Math.round(amount * 100), // Stripe expects amount in cents
+  },
+  quantity,
+});
+
+// Dishes, tax and delivery fee as Stripe line items
+const buildLineItems = (order) => {
+  const lineItems = order.items.map(item => {
+    // Show the chosen modifiers, e.g. "Pizza (Large, Extra cheese)" with "Size: Large; Extras: Extra cheese"
+    const modifiers = item.modifiers || [];
+    const productData = { images: item.image ? [item.image] : [] };
+    if (modifiers.length > 0) {
+      const groups = modifiers.reduce((acc, modifier) => {
+        acc[modifier.group] = [...(acc[modifier.group] || []), modifier.option];
+        return acc;
+      }, {});
+      productData.description = Object.entries(groups)
+        .map(([group, options]) => `${group}: ${options.join(', ')}`)
+        .join('; ');
+    }
+
+    const name = modifiers.length > 0
+      ? `${item.name} (${modifiers.map(modifier => modifier.option).join(', ')})`
+      : item.name || 'Food item';
+    return toLineItem(name, item.price, item.quantity, productData);
+  });
+
+  if (order.tax) lineItems.push(toLineItem('Tax', order.tax));
+  if (order.deliveryFee) lineItems.push(toLineItem('Delivery Fee', order.deliveryFee));
+  return lineItems;
+};
+
+// Create a Checkout session for the order
+const initiate = async (order, { customerInfo = {} } = {}) => {
+  if (!order.items || order.items.length === 0) {
+    throw new PaymentError('Order has no items to process');
+  }
+
+  const transactionId = uuidv4();
+
+  // Stripe has no negative line items, so coupon discounts go through a one-off Stripe coupon
+  const discounts = [];
+  if (order.discount > 0) {
+    const stripeCoupon = await stripe.coupons.create({
+      amount_off: Math.round(order.discount * 100),
+      currency: stripeConfig.currency,
+      duration: 'once',
+      name: order.coupon?.code || 'Discount'
+    });
+    discounts.push({ coupon: stripeCoupon.id });
+  }
+
+  const metadata = {
+    orderId: order._id.toString(),
+    transactionId
+  };
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: buildLineItems(order),
+    discounts,
+    mode: 'payment',
+    success_url: `${stripeConfig.successUrl}?orderId=${order._id}&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${stripeConfig.cancelUrl}?orderId=${order._id}`,
+    customer_email: customerInfo.email || 'customer@example.com',
+    client_reference_id: order._id.toString(),
+    metadata,
+    // Copied to the payment intent and its charges, so failures, refunds and disputes can be matched
+    payment_intent_data: { metadata }
+  });
+
+  order.transactionId = transactionId;
+  return {
+    sessionId: session.id,
+    url: session.url
+  };
+};
+
+// Check a Checkout session the customer was sent back from
+const verify = async (order, { sessionId } = {}) => {
+  if (!sessionId) {
+    throw new PaymentError('Session ID is required');
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+
+  if (session.metadata?.orderId !== order._id.toString()) {
+    throw new PaymentError('Session does not belong to this order');
+  }
+
+  if (session.payment_status !== 'paid') {
+    throw new PaymentError(`Payment not completed (${session.payment_status})`);
+  }
+
+  markOrderPaid(order, { paymentIntentId: session.payment_intent });
+};
+
+// Verify the signature of a webhook delivery and process its event once
+const handleWebhook = async ({ rawBody, signature }) => {
+  if (!stripeConfig.webhookSecret) {
+    throw new PaymentError('Stripe webhook secret is not configured', 503);
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(rawBody, signature, stripeConfig.webhookSecret);
+  } catch (error) {
+    throw new PaymentError(`Webhook Error: ${error.message}`);
+  }
+
+  const result = await processStripeEvent(event);
+  return { eventId: event.id, type: event.type, ...result };
+};
+
+const refund = async (order, amount, reason) => {
+  if (!order.paymentIntentId) {
+    throw new PaymentError('No Stripe payment is recorded for this order', 409);
+  }
+
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount: Math.round(amount * 100),
+    metadata: {
+      orderId: order._id.toString(),
+      reason: reason || ''
+    }
+  });
+
+  return {
+    providerRefundId: stripeRefund.id,
+    status: stripeRefund.status === 'failed' ? 'failed' : stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending'
+  };
+};
+
+// Deposit and pre-order of a reservation as Stripe line items
+const buildReservationLineItems = (reservation) => {
+  const { deposit, preOrder } = reservation;
+
+  // A grown party pays the rest of its deposit; the pre-order was paid the first time
+  if (deposit.paidAt) {
+    return [toLineItem(`Additional reservation deposit (${reservation.guests} guests)`, reservation.amountDue)];
+  }
+
+  const lineItems = [];
+  if (deposit.required && deposit.amount > 0) {
+    lineItems.push(toLineItem(`Reservation deposit (${reservation.guests} guests)`, deposit.amount));
+  }
+
+  (preOrder?.items || []).forEach(item => {
+    const modifiers = item.modifiers || [];
+    const name = modifiers.length > 0
+      ? `${item.name} (${modifiers.map(modifier => modifier.option).join(', ')})`
+      : item.name;
+    lineItems.push(toLineItem(name, item.price, item.quantity));
+  });
+  if (preOrder?.items?.length && preOrder.tax) lineItems.push(toLineItem('Tax', preOrder.tax));
+
+  return lineItems;
+};
+
+// Create a Checkout session for what a reservation owes (its deposit and pre-order)
+const initiateReservation = async (reservation) => {
+  const metadata = { reservationId: reservation._id.toString() };
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: buildReservationLineItems(reservation),
+    mode: 'payment',
+    success_url: `${stripeConfig.successUrl}?reservationId=${reservation._id}&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${stripeConfig.cancelUrl}?reservationId=${reservation._id}`,
+    customer_email: reservation.email,
+    client_reference_id: reservation._id.toString(),
+    metadata,
+    payment_intent_data: { metadata }
+  });
+
+  reservation.deposit.checkoutSessionId = session.id;
+  return {
+    sessionId: session.id,
+    url: session.url
+  };
+};
+
+// Refund one payment made for a reservation; without an amount the whole payment is refunded
+const refundReservationPayment = (reservation, paymentIntentId, amount) => stripe.refunds.create({
+  payment_intent: paymentIntentId,
+  ...(amount !== undefined ? { amount: Math.round(amount * 100) } : {}),
+  reason: 'requested_by_customer',
+  metadata: { reservationId: reservation._id.toString() }
+});
+
+/**
+ * Close a reservation's open Checkout session so it can no longer be paid.
+ * Returns false when the guest has already paid it.
+ */
+const expireReservationCheckout = async (reservation) => {
+  const sessionId = reservation.deposit.checkoutSessionId;
+  if (!sessionId) return true;
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (session.status === 'complete') return false;
+  if (session.status === 'open') await stripe.checkout.sessions.expire(sessionId);
+  return true;
+};
+
+module.exports = {
+  name: 'stripe',
+  collectsOnDelivery: false,
+  initiate,
+  verify,
+  handleWebhook,
+  refund,
+  initiateReservation,
+  expireReservationCheckout,
+  refundReservationPayment
+};
@@ -0,0 +1,86 @@
+// Named permission sets for every role. `*` grants everything.
+const ROLE_PERMISSIONS = {
+  user: [],
+  kitchen: [
+    'orders:read',
+    'kitchen:read',
+    'kitchen:update'
+  ],
+  rider: [
+    'orders:read',
+    'deliveries:update'
+  ],
+  host: [
+    'reservations:read',
+    'reservations:update',
+    'tables:read'
+  ],
+  manager: [
+    'orders:read',
+    'orders:update',
+    'orders:cancel',
+    'orders:delete',
+    'kitchen:read',
+    'kitchen:update',
+    'deliveries:update',
+    'menu:create',
+    'menu:update',
+    'menu:delete',
+    'categories:manage',
+    'reservations:read',
+    'reservations:update',
+    'tables:read',
+    'tables:manage',
+    'schedule:manage',
+    'coupons:manage',
+    'reports:read'
+  ],
+  admin: [
+    'orders:read',
+    'orders:update',
+    'orders:cancel',
+    'orders:delete',
+    'orders:refund',
+    'kitchen:read',
+    'kitchen:update',
+    'deliveries:update',
+    'menu:create',
+    'menu:update',
+    'menu:delete',
+    'categories:manage',
+    'reservations:read',
+    'reservations:update',
+    'tables:read',
+    'tables:manage',
+    'schedule:manage',
+    'coupons:manage',
+    'reports:read',
+    'users:read',
+    'roles:read',
+    'roles:assign'
+  ],
+  'super-admin': ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that get the admin dashboard
+const ADMIN_ROLES = ['admin', 'super-admin'];
+
+// Roles that only a super admin may grant or take away
+const PROTECTED_ROLES = ['super-admin'];
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PROTECTED_ROLES,
+  hasPermission,
+  isAdminRole
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Menu = require('../models/Menu');
+const { calculateCouponDiscount } = require('./coupons');
+
+// Pricing settings (see config/schema.js)
+const TAX_RATE = config.pricing.taxRate;
+const DELIVERY_FEE = config.pricing.deliveryFee;
+const FREE_DELIVERY_THRESHOLD = config.pricing.freeDeliveryThreshold;
+
+// Error raised when the requested items cannot be priced
+class PricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+  }
+}
+
+// Round a monetary amount to 2 decimal places
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Resolve the modifiers chosen for a dish against its option groups.
+ * `selections` is a list of `{ group: <groupId>, options: [<optionId>] }`.
+ */
+const resolveModifiers = (menuItem, selections = []) => {
+  if (!Array.isArray(selections)) {
+    throw new PricingError(`Invalid modifiers for ${menuItem.name}`);
+  }
+
+  const groups = menuItem.optionGroups || [];
+  const selectedByGroup = new Map();
+
+  selections.forEach(selection => {
+    const group = groups.find(g => g._id.toString() === String(selection?.group));
+    if (!group) {
+      throw new PricingError(`Unknown option group for ${menuItem.name}`);
+    }
+    const optionIds = Array.isArray(selection.options) ? selection.options.map(String) : [];
+    selectedByGroup.set(group._id.toString(), [...(selectedByGroup.get(group._id.toString()) || []), ...optionIds]);
+  });
+
+  const modifiers = [];
+
+  groups.forEach(group => {
+    const optionIds = [...new Set(selectedByGroup.get(group._id.toString()) || [])];
+    const minSelections = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (optionIds.length < minSelections) {
+      throw new PricingError(`Please choose at least ${minSelections} ${group.name} option(s) for ${menuItem.name}`);
+    }
+    if (optionIds.length > group.maxSelections) {
+      throw new PricingError(`You can choose at most ${group.maxSelections} ${group.name} option(s) for ${menuItem.name}`);
+    }
+
+    optionIds.forEach(optionId => {
+      const option = group.options.find(o => o._id.toString() === optionId);
+      if (!option) {
+        throw new PricingError(`Unknown ${group.name} option for ${menuItem.name}`);
+      }
+      if (!option.isAvailable) {
+        throw new PricingError(`${option.name} is currently unavailable for ${menuItem.name}`);
+      }
+
+      modifiers.push({
+        groupId: group._id,
+        group: group.name,
+        optionId: option._id,
+        option: option.name,
+        priceDelta: option.priceDelta
+      });
+    });
+  });
+
+  return modifiers;
+};
+
+/**
+ * Price order items from the database instead of trusting the client.
+ * An optional coupon is applied before tax.
+ * Returns the line items to store on the order plus the price breakdown.
+ */
+const priceOrder = async (items, { coupon } = {}) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new PricingError('Items array is required and cannot be empty');
+  }
+
+  // Validate each line before touching the database
+  items.forEach((item, index) => {
+    if (!item || !item.menuItem || !mongoose.Types.ObjectId.isValid(item.menuItem)) {
+      throw new PricingError(`Item ${index + 1} has an invalid menu item id`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new PricingError(`Item ${index + 1} must have a whole quantity of at least 1`);
+    }
+  });
+
+  const ids = [...new Set(items.map(item => item.menuItem.toString()))];
+  const menuItems = await Menu.find({ _id: { $in: ids } }).populate('category', 'slug station');
+  const menuById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const lines = items.map(item => {
+    const menuItem = menuById.get(item.menuItem.toString());
+
+    if (!menuItem) {
+      throw new PricingError(`Menu item ${item.menuItem} not found`, 404);
+    }
+    if (!menuItem.isAvailable) {
+      throw new PricingError(`${menuItem.name} is currently unavailable`);
+    }
+
+    // Dish discounts apply to the base price only, modifiers are added at full price
+    const modifiers = resolveModifiers(menuItem, item.modifiers);
+    const unitPrice = roundMoney(
+      menuItem.discountedPrice + modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0)
+    );
+
+    return {
+      menuItem: menuItem._id.toString(),
+      name: menuItem.name,
+      image: menuItem.image,
+      quantity: item.quantity,
+      modifiers,
+      price: unitPrice,
+      lineTotal: roundMoney(unitPrice * item.quantity),
+      category: menuItem.category?.slug,
+      station: menuItem.category?.station,
+      preparationTime: menuItem.preparationTime
+    };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const baseDeliveryFee = subtotal >= FREE_DELIVERY_THRESHOLD ? 0 : DELIVERY_FEE;
+
+  const { itemDiscount, deliveryDiscount } = coupon
+    ? calculateCouponDiscount(coupon, lines, subtotal, baseDeliveryFee)
+    : { itemDiscount: 0, deliveryDiscount: 0 };
+
+  const discount = roundMoney(itemDiscount);
+  const deliveryFee = roundMoney(baseDeliveryFee - deliveryDiscount);
+  const tax = roundMoney((subtotal - discount) * TAX_RATE);
+  const total = roundMoney(subtotal - discount + tax + deliveryFee);
+
+  // The kitchen promises the order once its slowest dish is done
+  const preparationTime = Math.max(...lines.map(line => line.preparationTime || 0));
+
+  return {
+    items: lines,
+    preparationTime,
+    subtotal,
+    discount,
+    deliverySavings: roundMoney(deliveryDiscount),
+    coupon: coupon ? { code: coupon.code, type: coupon.type, couponId: coupon._id } : null,
+    taxRate: TAX_RATE,
+    tax,
+    deliveryFee,
+    total
+  };
+};
+
+module.exports = {
+  priceOrder,
+  roundMoney,
+  PricingError
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('./pricing');
+const { PaymentError, getPaymentProvider } = require('./paymentProviders');
+const { normalizePaymentMethod } = require('./paymentMethods');
+
+// Payment states in which there is still money to give back
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+// Money that was paid and has not been refunded yet
+const getRefundableAmount = (order) => roundMoney(order.total - (order.refundedAmount || 0));
+
+/**
+ * What the customer paid for `quantity` units of an order line:
+ * its share of the coupon discount is taken off and tax is added back.
+ */
+const getItemRefundAmount = (order, item, quantity) => {
+  const unitPrice = item.lineTotal ? item.lineTotal / item.quantity : item.price;
+  const gross = unitPrice * quantity;
+  const discountShare = order.subtotal > 0 ? gross * (order.discount || 0) / order.subtotal : 0;
+  return roundMoney((gross - discountShare) * (1 + (order.taxRate || 0)));
+};
+
+// Turn a line-item refund request ([{ itemId, quantity }]) into amounts per line
+const resolveRefundItems = (order, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new RefundError('Items must be a non-empty array');
+  }
+
+  return items.map(({ itemId, quantity }) => {
+    const item = mongoose.Types.ObjectId.isValid(itemId) ? order.items.id(itemId) : null;
+    if (!item) {
+      throw new RefundError(`Order item ${itemId} not found`);
+    }
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    const count = quantity === undefined ? remaining : Number(quantity);
+    if (!Number.isInteger(count) || count < 1 || count > remaining) {
+      throw new RefundError(`Only ${remaining} ${item.name} can still be refunded`);
+    }
+
+    return { line: item, item: item._id, name: item.name, quantity: count, amount: getItemRefundAmount(order, item, count) };
+  });
+};
+
+/**
+ * Refund an order in full, by amount, or by line items ({ items: [{ itemId, quantity }] }).
+ * Records the refund on the order and updates its payment status; the caller saves the order.
+ */
+const refundOrder = async (order, { amount, items, reason, actor } = {}) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new RefundError('Only paid orders can be refunded');
+  }
+
+  if (amount !== undefined && items !== undefined) {
+    throw new RefundError('Refund either an amount or items, not both');
+  }
+
+  const refundable = getRefundableAmount(order);
+  const refundItems = items !== undefined ? resolveRefundItems(order, items) : [];
+
+  let refundAmount = refundable;
+  if (refundItems.length > 0) {
+    // Rounding on line items can go a cent over what is left
+    refundAmount = Math.min(roundMoney(refundItems.reduce((sum, item) => sum + item.amount, 0)), refundable);
+  } else if (amount !== undefined) {
+    refundAmount = roundMoney(Number(amount));
+    if (!(refundAmount > 0)) {
+      throw new RefundError('Refund amount must be greater than zero');
+    }
+  }
+
+  if (refundAmount > refundable || refundAmount <= 0) {
+    throw new RefundError(`At most ${refundable} can be refunded`);
+  }
+
+  let result;
+  try {
+    result = await getPaymentProvider(normalizePaymentMethod(order.paymentMethod)).refund(order, refundAmount, reason);
+  } catch (error) {
+    if (error instanceof PaymentError) throw new RefundError(error.message, error.status);
+    throw new RefundError(`Refund failed: ${error.message}`, 502);
+  }
+
+  order.refunds.push({
+    amount: refundAmount,
+    reason,
+    items: refundItems.map(({ item, name, quantity, amount: itemAmount }) => ({ item, name, quantity, amount: itemAmount })),
+    provider: normalizePaymentMethod(order.paymentMethod),
+    providerRefundId: result.providerRefundId,
+    status: result.status,
+    actor
+  });
+  refundItems.forEach(({ line, quantity }) => {
+    line.refundedQuantity = (line.refundedQuantity || 0) + quantity;
+  });
+
+  order.refundedAmount = roundMoney((order.refundedAmount || 0) + refundAmount);
+  const fullyRefunded = order.refundedAmount >= order.total;
+  order.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+  // A delivered order that is paid back in full is closed as refunded
+  if (fullyRefunded && order.status === 'delivered') {
+    order.transitionTo('refunded', { actor, note: reason || 'Refunded in full' });
+  }
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Give the money back when a paid order is cancelled
+const refundCancelledOrder = async (order, { reason, actor } = {}) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return null;
+  }
+  return refundOrder(order, { reason: reason || 'Order cancelled', actor });
+};
+
+module.exports = {
+  RefundError,
+  getRefundableAmount,
+  getItemRefundAmount,
+  refundOrder,
+  refundCancelledOrder
+};
@@ -0,0 +1,44 @@
+const config = require('../config');
+const { withLock } = require('./lock');
+
+// Reservation lifecycle: every status and the statuses it may move to next
+const RESERVATION_TRANSITIONS = {
+  pending: ['confirmed', 'seated', 'cancelled', 'no-show'],
+  confirmed: ['seated', 'cancelled', 'no-show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+const RESERVATION_STATUSES = Object.keys(RESERVATION_TRANSITIONS);
+
+// Statuses whose reservations no longer hold a table
+const RELEASED_RESERVATION_STATUSES = ['cancelled', 'completed', 'no-show'];
+
+// No-shows before a deposit is required, and before booking is blocked
+const NO_SHOW_DEPOSIT_THRESHOLD = config.reservations.noShowDepositThreshold;
+const NO_SHOW_BLOCK_THRESHOLD = config.reservations.noShowBlockThreshold;
+
+const canTransitionReservation = (from, to) => (RESERVATION_TRANSITIONS[from] || []).includes(to);
+
+// Status changes and deposit refunds of one reservation run one at a time, across every
+// server instance. Table allocation has a lock of its own (see availability.js).
+const withReservationChangeLock = (reservationId, fn) => withLock(`reservation:${reservationId}`, fn);
+
+// What a user's no-show history means for new bookings: null, 'deposit' or 'blocked'
+const getBookingRestriction = (user) => {
+  const noShows = user?.noShowCount || 0;
+  if (noShows >= NO_SHOW_BLOCK_THRESHOLD) return 'blocked';
+  if (noShows >= NO_SHOW_DEPOSIT_THRESHOLD) return 'deposit';
+  return null;
+};
+
+module.exports = {
+  RESERVATION_STATUSES,
+  RESERVATION_TRANSITIONS,
+  RELEASED_RESERVATION_STATUSES,
+  canTransitionReservation,
+  getBookingRestriction,
+  withReservationChangeLock
+};
@@ -0,0 +1,200 @@
+// Error raised when a reservation time does not fit the restaurant schedule
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = 400;
+  }
+}
+
+// Parse "19:30" or "7:30 PM" into minutes since midnight (null if invalid)
+const parseTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.toUpperCase();
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Calendar day of a reservation date. Dates are stored as UTC midnight ("2025-06-01" -> 2025-06-01T00:00Z).
+const toDay = (date) => {
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return null;
+  return {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth(),
+    day: value.getUTCDate(),
+    weekday: value.getUTCDay()
+  };
+};
+
+const isSameDay = (a, b) => {
+  const dayA = toDay(a);
+  const dayB = toDay(b);
+  return dayA && dayB && dayA.year === dayB.year && dayA.month === dayB.month && dayA.day === dayB.day;
+};
+
+// Milliseconds a time zone is ahead of UTC at a given instant
+const zoneOffset = (timeZone, instant) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a reservation date plus minutes since midnight stands for in the restaurant's
+ * time zone, independent of the server's own. The offset is checked again at the result,
+ * so times close to a daylight saving change come out right.
+ */
+const toDateTime = (date, minutes, timeZone = 'UTC') => {
+  const { year, month, day } = toDay(date);
+  const wallClock = Date.UTC(year, month, day, 0, minutes);
+
+  const offset = zoneOffset(timeZone, new Date(wallClock));
+  const correctedOffset = zoneOffset(timeZone, new Date(wallClock - offset));
+  return new Date(wallClock - correctedOffset);
+};
+
+// Start of a reservation, combining its date and time (older reservations have no startAt)
+const reservationStart = (reservation, timeZone) => {
+  if (reservation.startAt) return new Date(reservation.startAt);
+  const minutes = parseTime(reservation.time);
+  return toDateTime(reservation.date, minutes === null ? 0 : minutes, timeZone);
+};
+
+// Hours left until a reservation starts (negative once it has started)
+const hoursUntilReservation = (reservation, now = new Date()) =>
+  (reservationStart(reservation) - now) / (1000 * 60 * 60);
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Opening periods for a date, in minutes since midnight (empty when closed).
+ * A period that closes at or before it opens runs past midnight ("18:00"-"00:00"),
+ * so its close is counted from the next day.
+ */
+const getOpeningPeriods = (schedule, date) => {
+  if (schedule.closures.some(closure => isSameDay(closure.date, date))) {
+    return [];
+  }
+
+  const special = schedule.specialHours.filter(hours => isSameDay(hours.date, date));
+  const hours = special.length > 0
+    ? special
+    : schedule.weeklyHours.filter(entry => entry.day === toDay(date).weekday);
+
+  return hours
+    .filter(entry => entry.open && entry.close)
+    .map(entry => ({ open: parseTime(entry.open), close: parseTime(entry.close) }))
+    .filter(period => period.open !== null && period.close !== null)
+    .map(({ open, close }) => ({ open, close: close > open ? close : close + MINUTES_PER_DAY }));
+};
+
+// Minutes a party keeps its table
+const getTurnTime = (schedule, guests) => {
+  const turnTimes = [...schedule.turnTimes].sort((a, b) => a.maxGuests - b.maxGuests);
+  const match = turnTimes.find(entry => guests <= entry.maxGuests) || turnTimes[turnTimes.length - 1];
+  return match ? match.minutes : 120;
+};
+
+// Latest time a reservation may start
+const bookingHorizon = (schedule, now) => new Date(now.getTime() + schedule.maxAdvanceDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Times that can be booked on a date, ignoring table availability.
+ * Seatings belong to the day they start on, so a period running past midnight offers slots
+ * until midnight at the latest.
+ */
+const listSlotTimes = (schedule, date, now = new Date()) => {
+  const earliest = new Date(now.getTime() + schedule.minAdvanceMinutes * 60 * 1000);
+  const latest = bookingHorizon(schedule, now);
+  const slots = [];
+
+  getOpeningPeriods(schedule, date).forEach(({ open, close }) => {
+    const lastSeating = Math.min(close - schedule.lastSeatingBeforeClose, MINUTES_PER_DAY - 1);
+    for (let minutes = open; minutes <= lastSeating; minutes += schedule.slotInterval) {
+      const startAt = toDateTime(date, minutes, schedule.timezone);
+      if (startAt >= earliest && startAt <= latest) {
+        slots.push(formatTime(minutes));
+      }
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Check a requested reservation time against the schedule.
+ * Returns the normalised time plus the window the table is blocked for.
+ */
+const validateReservationTime = (schedule, { date, time, guests }, now = new Date()) => {
+  if (!toDay(date)) {
+    throw new ScheduleError('Invalid reservation date');
+  }
+
+  const minutes = parseTime(time);
+  if (minutes === null) {
+    throw new ScheduleError('Invalid reservation time');
+  }
+
+  const startAt = toDateTime(date, minutes, schedule.timezone);
+  if (startAt < now) {
+    throw new ScheduleError('Reservations cannot be made in the past');
+  }
+  if (startAt > bookingHorizon(schedule, now)) {
+    throw new ScheduleError(`Reservations can only be made up to ${schedule.maxAdvanceDays} days ahead`);
+  }
+
+  const periods = getOpeningPeriods(schedule, date);
+  if (periods.length === 0) {
+    throw new ScheduleError('The restaurant is closed on this day');
+  }
+
+  const normalised = formatTime(minutes);
+  if (!listSlotTimes(schedule, date, now).includes(normalised)) {
+    throw new ScheduleError('This time is not available for reservations');
+  }
+
+  return {
+    time: normalised,
+    startAt,
+    endAt: new Date(startAt.getTime() + getTurnTime(schedule, guests) * 60 * 1000)
+  };
+};
+
+module.exports = {
+  ScheduleError,
+  parseTime,
+  formatTime,
+  toDateTime,
+  reservationStart,
+  hoursUntilReservation,
+  getOpeningPeriods,
+  getTurnTime,
+  listSlotTimes,
+  validateReservationTime
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const paymentConfig = require('../config/payment');
+const { PaymentError } = require('./paymentMethods');
+
+const sslConfig = paymentConfig.sslcommerz;
+
+// Orders are charged in taka unless SSLCOMMERZ_CURRENCY says otherwise
+const SSLCOMMERZ_CURRENCY = sslConfig.currency;
+
+// Sandbox, live or the local mock gateway (scripts/mockSslcommerz.js), see SSLCOMMERZ_API_URL
+const SSLCOMMERZ_API_URL = sslConfig.api_url;
+
+const SSLCOMMERZ_ENDPOINTS = {
+  session: '/gwprocess/v4/api.php',
+  validation: '/validator/api/validationserverAPI.php',
+  refund: '/validator/api/merchantTransIDvalidationAPI.php'
+};
+
+class SslcommerzError extends PaymentError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'SslcommerzError';
+  }
+}
+
+const getSslcommerzUrl = (endpoint) => `${SSLCOMMERZ_API_URL}${SSLCOMMERZ_ENDPOINTS[endpoint]}`;
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+/**
+ * Sign callback fields the way SSLCommerz does: the fields listed in `verify_key`
+ * plus the md5 of the store password, sorted by name, joined as a query string and hashed.
+ */
+const signCallback = (fields, keys, storePassword = sslConfig.store_passwd) => {
+  const data = keys.reduce((acc, key) => ({ ...acc, [key]: fields[key] ?? '' }), {});
+  data.store_passwd = md5(storePassword || '');
+
+  const hashString = Object.keys(data)
+    .sort()
+    .map(key => `${key}=${data[key]}`)
+    .join('&');
+  return md5(hashString);
+};
+
+// Check the `verify_sign` of a success/IPN callback
+const hasValidSignature = (fields) => {
+  const { verify_sign: signature, verify_key: verifyKey } = fields;
+  if (!signature || !verifyKey) return false;
+
+  const expected = signCallback(fields, verifyKey.split(','));
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+// Ask SSLCommerz about a payment by its validation id
+const validateTransaction = async (valId) => {
+  const response = await axios.get(getSslcommerzUrl('validation'), {
+    params: {
+      val_id: valId,
+      store_id: sslConfig.store_id,
+      store_passwd: sslConfig.store_passwd,
+      v: 1,
+      format: 'json'
+    }
+  });
+  return response.data;
+};
+
+// Check a payment returned by the validation API against the order it is supposed to pay for
+const checkPaymentMatchesOrder = (payment, order) => {
+  if (!['VALID', 'VALIDATED'].includes(payment.status)) {
+    throw new SslcommerzError(`Payment is not valid (${payment.status})`);
+  }
+
+  if (!payment.tran_id || payment.tran_id !== order.transactionId) {
+    throw new SslcommerzError('Transaction id does not match the order');
+  }
+
+  if (payment.currency_type !== SSLCOMMERZ_CURRENCY) {
+    throw new SslcommerzError(`Unexpected currency ${payment.currency_type}`);
+  }
+
+  if (Math.abs(Number(payment.currency_amount) - order.total) > 0.01) {
+    throw new SslcommerzError('Paid amount does not match the order total');
+  }
+
+  return payment;
+};
+
+/**
+ * Make sure a success/IPN callback is a real, completed payment for this order.
+ * The signature is checked, the payment is looked up with SSLCommerz, and the
+ * transaction id, currency and amount must match the order.
+ */
+const verifyPayment = async (fields, order) => {
+  if (!hasValidSignature(fields)) {
+    throw new SslcommerzError('Invalid SSLCommerz signature');
+  }
+
+  if (!fields.val_id) {
+    throw new SslcommerzError('Missing validation id');
+  }
+
+  const payment = await validateTransaction(fields.val_id);
+  if (payment.tran_id !== fields.tran_id) {
+    throw new SslcommerzError('Transaction id does not match the callback');
+  }
+
+  return checkPaymentMatchesOrder(payment, order);
+};
+
+module.exports = {
+  SSLCOMMERZ_CURRENCY,
+  SslcommerzError,
+  getSslcommerzUrl,
+  signCallback,
+  hasValidSignature,
+  validateTransaction,
+  checkPaymentMatchesOrder,
+  verifyPayment
+};
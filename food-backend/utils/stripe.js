@@ -0,0 +1,19 @@
+const stripeConfig = require('../config/stripe');
+
+let client = null;
+
+// The client is created on first use, so the server can start without Stripe keys in development
+const getClient = () => {
+  if (!client) {
+    if (!stripeConfig.secretKey) {
+      throw new Error('Stripe is not configured: set STRIPE_SECRET_KEY');
+    }
+    client = require('stripe')(stripeConfig.secretKey);
+  }
+  return client;
+};
+
+// Shared Stripe client, so every module uses the same configuration
+module.exports = new Proxy({}, {
+  get: (target, property) => getClient()[property]
+});
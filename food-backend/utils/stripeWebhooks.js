@@ -0,0 +1,258 @@
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const PaymentEvent = require('../models/PaymentEvent');
+const { roundMoney } = require('./pricing');
+const { PAYABLE_PAYMENT_STATUSES, markOrderPaid, markOrderPaymentFailed } = require('./paymentProviders/common');
+
+// An event stuck in `processing` this long (e.g. the server crashed) may be picked up again
+const STALE_PROCESSING_MINUTES = 5;
+
+/**
+ * Record the event and claim it for processing.
+ * Returns false when it was already handled, or is being handled right now.
+ */
+const claimEvent = async (event) => {
+  try {
+    await PaymentEvent.create({ provider: 'stripe', eventId: event.id, type: event.type });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: only retry if the last attempt failed or never finished
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000);
+  const retried = await PaymentEvent.findOneAndUpdate(
+    {
+      provider: 'stripe',
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } }
+  );
+  return Boolean(retried);
+};
+
+// Find the order and/or reservation a Stripe object belongs to
+const findPaymentTargets = async ({ metadata = {}, paymentIntentId }) => {
+  let order = null;
+  let reservation = null;
+
+  if (metadata.orderId) {
+    order = await Order.findById(metadata.orderId);
+  } else if (metadata.reservationId) {
+    reservation = await Reservation.findById(metadata.reservationId);
+  } else if (paymentIntentId) {
+    order = await Order.findOne({ paymentIntentId });
+    if (!order) {
+      reservation = await Reservation.findOne({
+        $or: [{ 'deposit.paymentIntentId': paymentIntentId }, { 'deposit.payments.paymentIntentId': paymentIntentId }]
+      });
+    }
+  }
+
+  return { order, reservation };
+};
+
+// Payment went through: mark the order paid, or confirm the reservation
+const handleCheckoutCompleted = async (session) => {
+  const targets = await findPaymentTargets({ metadata: session.metadata });
+  const { order, reservation } = targets;
+
+  if (session.payment_status !== 'paid') return targets;
+
+  if (order && PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    markOrderPaid(order, { paymentIntentId: session.payment_intent });
+    await order.save();
+  }
+
+  if (reservation && reservation.deposit.status === 'pending') {
+    const { deposit } = reservation;
+    const paidAt = new Date();
+    deposit.status = 'paid';
+    deposit.paidAmount = deposit.required ? deposit.amount : 0;
+    deposit.payments.push({ paymentIntentId: session.payment_intent, amount: session.amount_total / 100, paidAt });
+    // A top-up after the party grew keeps the first payment, which covers the pre-order
+    if (!deposit.paidAt) {
+      deposit.paymentIntentId = session.payment_intent;
+      deposit.paidAt = paidAt;
+    }
+    if (reservation.status === 'pending') reservation.status = 'confirmed';
+    await reservation.save();
+  }
+
+  return targets;
+};
+
+// The guest abandoned checkout; they can start a new session
+const handleCheckoutExpired = async (session) => {
+  const targets = await findPaymentTargets({ metadata: session.metadata });
+  const { order, reservation } = targets;
+
+  // Ignore sessions that were replaced by a newer one
+  if (order && order.paymentStatus === 'pending' && order.transactionId === session.metadata.transactionId) {
+    markOrderPaymentFailed(order, 'Checkout session expired');
+    await order.save();
+  }
+
+  if (reservation && reservation.deposit.checkoutSessionId === session.id) {
+    reservation.deposit.checkoutSessionId = undefined;
+    await reservation.save();
+  }
+
+  return targets;
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  const targets = await findPaymentTargets({ metadata: paymentIntent.metadata, paymentIntentId: paymentIntent.id });
+  const { order } = targets;
+
+  if (order && PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    order.paymentIntentId = paymentIntent.id;
+    markOrderPaymentFailed(order, paymentIntent.last_payment_error?.message);
+    await order.save();
+  }
+
+  return targets;
+};
+
+// Refunds issued from the Stripe dashboard, or confirmations of our own refunds
+const handleChargeRefunded = async (charge) => {
+  const targets = await findPaymentTargets({ metadata: charge.metadata, paymentIntentId: charge.payment_intent });
+  const { order, reservation } = targets;
+
+  if (order) {
+    // Refunds made through the API are already counted; pick up anything refunded elsewhere
+    const refundedAmount = roundMoney(charge.amount_refunded / 100);
+    if (refundedAmount > (order.refundedAmount || 0)) {
+      order.refundedAmount = refundedAmount;
+      // An open dispute keeps the payment disputed; its outcome decides the status once it closes
+      if (order.paymentStatus !== 'disputed') {
+        order.paymentStatus = charge.refunded ? 'refunded' : 'partially_refunded';
+      }
+    }
+
+    // Our own refunds stay pending until Stripe reports them on the charge
+    const refundIds = (charge.refunds?.data || []).map(refund => refund.id);
+    order.refunds
+      .filter(refund => refund.status === 'pending' && refundIds.includes(refund.providerRefundId))
+      .forEach(refund => { refund.status = 'succeeded'; });
+
+    if (order.isModified()) await order.save();
+  }
+
+  if (reservation && charge.refunded && reservation.deposit.status === 'paid') {
+    reservation.deposit.status = 'refunded';
+    reservation.deposit.refundedAt = new Date();
+    await reservation.save();
+  }
+
+  return targets;
+};
+
+const toDisputeRecord = (dispute) => ({
+  disputeId: dispute.id,
+  reason: dispute.reason,
+  amount: dispute.amount / 100,
+  status: dispute.status,
+  openedAt: new Date(dispute.created * 1000)
+});
+
+// Payment status of an order once a dispute over it is settled
+const settledPaymentStatus = (order, dispute) => {
+  // A lost dispute gives the customer their money back through the bank
+  if (dispute.status === 'lost') return 'refunded';
+
+  const refundedAmount = order.refundedAmount || 0;
+  if (refundedAmount <= 0) return 'completed';
+  return refundedAmount >= order.total ? 'refunded' : 'partially_refunded';
+};
+
+const handleDisputeCreated = async (dispute) => {
+  const targets = await findPaymentTargets({ paymentIntentId: dispute.payment_intent });
+  const { order, reservation } = targets;
+
+  if (order) {
+    order.paymentStatus = 'disputed';
+    order.dispute = toDisputeRecord(dispute);
+    await order.save();
+  }
+
+  if (reservation) {
+    reservation.dispute = toDisputeRecord(dispute);
+    await reservation.save();
+  }
+
+  if (order || reservation) {
+    console.warn(`Stripe dispute ${dispute.id} opened for ${order ? `order ${order._id}` : `reservation ${reservation._id}`}`);
+  }
+
+  return targets;
+};
+
+const handleDisputeClosed = async (dispute) => {
+  const targets = await findPaymentTargets({ paymentIntentId: dispute.payment_intent });
+  const { order, reservation } = targets;
+
+  if (order) {
+    if (order.paymentStatus === 'disputed') {
+      order.paymentStatus = settledPaymentStatus(order, dispute);
+    }
+    order.dispute = { ...toDisputeRecord(dispute), closedAt: new Date() };
+    await order.save();
+  }
+
+  if (reservation) {
+    reservation.dispute = { ...toDisputeRecord(dispute), closedAt: new Date() };
+    await reservation.save();
+  }
+
+  return targets;
+};
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'checkout.session.expired': handleCheckoutExpired,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.closed': handleDisputeClosed
+};
+
+/**
+ * Process a verified Stripe event exactly once.
+ * Throws when processing fails, so the webhook can answer with an error and Stripe retries.
+ */
+const processStripeEvent = async (event) => {
+  const claimed = await claimEvent(event);
+  if (!claimed) return { duplicate: true };
+
+  const filter = { provider: 'stripe', eventId: event.id };
+  const handler = EVENT_HANDLERS[event.type];
+
+  if (!handler) {
+    await PaymentEvent.updateOne(filter, { status: 'ignored', processedAt: new Date() });
+    return { ignored: true };
+  }
+
+  try {
+    const { order, reservation } = await handler(event.data.object);
+    await PaymentEvent.updateOne(filter, {
+      status: 'processed',
+      processedAt: new Date(),
+      order: order?._id,
+      reservation: reservation?._id
+    });
+    return { processed: true };
+  } catch (error) {
+    await PaymentEvent.updateOne(filter, { status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  EVENT_HANDLERS,
+  processStripeEvent
+};
@@ -0,0 +1,69 @@
+// Largest number of tables that may be pushed together for one party
+const MAX_COMBINED_TABLES = 4;
+
+const totalSeats = (tables) => tables.reduce((sum, table) => sum + table.seats, 0);
+
+// Smallest single table that seats the whole party
+const findSingleTable = (tables, guests) => tables
+  .filter(table => table.seats >= guests)
+  .sort((a, b) => a.seats - b.seats || a.number - b.number)[0];
+
+// Combination of combinable tables in one area with the fewest spare seats (then the fewest tables)
+const findCombination = (tables, guests) => {
+  let best = null;
+
+  const isBetter = (candidate) => !best
+    || totalSeats(candidate) < totalSeats(best)
+    || (totalSeats(candidate) === totalSeats(best) && candidate.length < best.length);
+
+  const byArea = tables
+    .filter(table => table.combinable)
+    .reduce((acc, table) => {
+      (acc[table.area] = acc[table.area] || []).push(table);
+      return acc;
+    }, {});
+
+  Object.values(byArea).forEach(areaTables => {
+    const sorted = [...areaTables].sort((a, b) => b.seats - a.seats || a.number - b.number);
+
+    const search = (start, chosen, seats) => {
+      if (chosen.length > 1 && seats >= guests) {
+        if (isBetter(chosen)) best = [...chosen];
+        return;
+      }
+      if (chosen.length === MAX_COMBINED_TABLES) return;
+      // Adding more tables can only add seats, so stop once this is already worse than the best
+      if (best && seats >= totalSeats(best)) return;
+
+      for (let i = start; i < sorted.length; i++) {
+        chosen.push(sorted[i]);
+        search(i + 1, chosen, seats + sorted[i].seats);
+        chosen.pop();
+      }
+    };
+
+    search(0, [], 0);
+  });
+
+  return best;
+};
+
+/**
+ * Pick tables for a party: the smallest free table that fits,
+ * otherwise the tightest combination of free combinable tables in one area.
+ * Returns the chosen tables, or null when the party cannot be seated.
+ */
+const allocateTables = (tables, guests, occupiedNumbers = []) => {
+  const occupied = new Set(occupiedNumbers);
+  const free = tables.filter(table => table.isActive !== false && !occupied.has(table.number));
+
+  const single = findSingleTable(free, guests);
+  if (single) return [single];
+
+  const combination = findCombination(free, guests);
+  return combination ? combination.sort((a, b) => a.number - b.number) : null;
+};
+
+module.exports = {
+  allocateTables
+};
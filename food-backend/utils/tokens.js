@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const User = require('../models/User');
+const { isAdminRole } = require('../utils/permissions');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+// Token lifetimes (see config/schema.js)
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+
+// Error raised when a refresh token cannot be used
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = 401;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token
+const signAccessToken = (user) => jwt.sign(
+  {
+    userId: user._id,
+    isAdmin: isAdminRole(user.role),
+    tokenVersion: user.tokenVersion
+  },
+  config.auth.jwtSecret,
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+);
+
+// Create and store a new refresh token; only its hash is persisted
+const createRefreshToken = async (user, req, family = uuidv4()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req?.get('user-agent'),
+    ip: req?.ip
+  });
+
+  return token;
+};
+
+// Issue an access token and a refresh token for a fresh login
+const issueTokens = async (user, req) => ({
+  token: signAccessToken(user),
+  refreshToken: await createRefreshToken(user, req),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Each refresh token works once; presenting a used one again revokes its whole family,
+ * since that means the token was stolen.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new TokenError('Refresh token is required');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both use it
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!stored) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (!used) {
+      throw new TokenError('Invalid refresh token');
+    }
+    await RefreshToken.updateMany(
+      { family: used.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new TokenError('Refresh token has expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || user.tokenVersion !== stored.tokenVersion) {
+    throw new TokenError('Session has been revoked');
+  }
+
+  const newRefreshToken = await createRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(newRefreshToken) });
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke a single access token until it expires
+const revokeAccessToken = async ({ jti, exp, userId }) => {
+  if (!jti) return;
+  await RevokedToken.updateOne(
+    { jti },
+    { jti, user: userId, expiresAt: new Date(exp * 1000) },
+    { upsert: true }
+  );
+};
+
+const isAccessTokenRevoked = async (jti) => Boolean(jti && await RevokedToken.exists({ jti }));
+
+// Revoke a refresh token that belongs to the given user
+const revokeRefreshToken = async (refreshToken, userId) => {
+  if (!refreshToken) return;
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Sign the user out of every device
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeRefreshToken,
+  revokeAllSessions
+};
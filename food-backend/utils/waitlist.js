@@ -0,0 +1,171 @@
+const config = require('../config');
+const Reservation = require('../models/Reservation');
+const RestaurantSchedule = require('../models/RestaurantSchedule');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { findTablesFor, withReservationLock } = require('./availability');
+const { getDepositRequirement, depositPaymentDeadline } = require('./deposits');
+const { getBookingRestriction } = require('./reservationStatus');
+const { listSlotTimes, parseTime, toDateTime, validateReservationTime } = require('./schedule');
+const { notify } = require('./notifier');
+
+// How long a promoted guest has to confirm their table
+const PROMOTION_HOLD_MINUTES = config.reservations.waitlistHoldMinutes;
+
+// Tell the guest a table is waiting for them
+const notifyPromotion = (entry, reservation) => notify({
+  email: entry.email,
+  phone: entry.phone,
+  subject: 'A table is available for you',
+  message: `Hi ${entry.name},\n\nGood news: a table for ${entry.guests} is now available on ${reservation.date.toDateString()} at ${reservation.time}.\n`
+    + (reservation.deposit.required ? `A deposit of ${reservation.deposit.amount} is required to hold it.\n` : '')
+    + `Please confirm your reservation before ${reservation.confirmationDeadline.toLocaleString()} or it will be released.`
+});
+
+/**
+ * Try to seat one waitlist entry at the first free time within its window.
+ * The guest's no-show history is checked again, as it may have grown since they joined.
+ */
+const promoteEntry = async (schedule, entry) => {
+  const user = await User.findById(entry.user).select('noShowCount');
+  const restriction = getBookingRestriction(user);
+  if (restriction === 'blocked') {
+    await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'cancelled' });
+    return null;
+  }
+
+  const windowStart = parseTime(entry.windowStart);
+  const windowEnd = parseTime(entry.windowEnd);
+  const times = listSlotTimes(schedule, entry.date)
+    .filter(time => parseTime(time) >= windowStart && parseTime(time) <= windowEnd);
+
+  for (const time of times) {
+    const slot = validateReservationTime(schedule, { date: entry.date, time, guests: entry.guests });
+    const { tables } = await findTablesFor({ ...slot, guests: entry.guests });
+    if (!tables) continue;
+
+    // Claim the entry first so two promotions can never seat the same guest
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'promoted', promotedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const deposit = getDepositRequirement({ guests: entry.guests, occasion: entry.occasion, restriction });
+    if (deposit.status === 'pending') deposit.payBy = depositPaymentDeadline(slot.startAt);
+
+    const reservation = await Reservation.create({
+      user: entry.user,
+      name: entry.name,
+      email: entry.email,
+      phone: entry.phone,
+      date: entry.date,
+      time: slot.time,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      guests: entry.guests,
+      specialRequests: entry.specialRequests,
+      occasion: entry.occasion,
+      tableNumber: tables[0].number,
+      tables: tables.map(table => table.number),
+      deposit,
+      waitlistEntry: entry._id,
+      confirmationDeadline: new Date(Date.now() + PROMOTION_HOLD_MINUTES * 60 * 1000)
+    });
+
+    claimed.promotedReservation = reservation._id;
+    await claimed.save();
+
+    try {
+      await notifyPromotion(claimed, reservation);
+    } catch (mailError) {
+      console.error('Error sending waitlist promotion notification:', mailError);
+    }
+
+    return reservation;
+  }
+
+  return null;
+};
+
+/**
+ * Release promoted reservations whose guests did not confirm in time.
+ * Returns the dates that got capacity back.
+ */
+const expireStalePromotions = async (now = new Date()) => {
+  const stale = await Reservation.find({
+    status: 'pending',
+    waitlistEntry: { $ne: null },
+    guestConfirmedAt: null,
+    confirmationDeadline: { $lt: now }
+  });
+
+  for (const reservation of stale) {
+    reservation.status = 'cancelled';
+    await reservation.save();
+    await WaitlistEntry.updateOne({ _id: reservation.waitlistEntry }, { status: 'expired' });
+  }
+
+  return stale.map(reservation => reservation.date);
+};
+
+/**
+ * Expire waiting entries whose time window is over, as no table can be offered for it any more.
+ * Returns the number of entries expired.
+ */
+const expirePastEntries = async (now = new Date()) => {
+  const schedule = await RestaurantSchedule.getCurrent();
+  // Dates are stored as UTC midnight, so a day ahead also covers zones east of UTC
+  const candidates = await WaitlistEntry.find({
+    status: 'waiting',
+    date: { $lt: new Date(now.getTime() + 24 * 60 * 60 * 1000) }
+  }).select('date windowEnd');
+
+  const pastIds = candidates
+    .filter(entry => toDateTime(entry.date, parseTime(entry.windowEnd) ?? 0, schedule.timezone) < now)
+    .map(entry => entry._id);
+  if (pastIds.length === 0) return 0;
+
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { _id: { $in: pastIds }, status: 'waiting' },
+    { status: 'expired' }
+  );
+  return modifiedCount;
+};
+
+// Offer freed capacity on a date to the waitlist, first come first served
+const promoteFromWaitlist = async (date) => {
+  const schedule = await RestaurantSchedule.getCurrent();
+  const entries = await WaitlistEntry.find({ date: new Date(date), status: 'waiting' })
+    .sort({ createdAt: 1 });
+
+  const promoted = [];
+  for (const entry of entries) {
+    const reservation = await withReservationLock(() => promoteEntry(schedule, entry));
+    if (reservation) promoted.push(reservation);
+  }
+
+  return promoted;
+};
+
+// Called whenever a reservation frees its tables; errors are logged, never thrown
+const handleFreedCapacity = async (date) => {
+  try {
+    const dates = [date, ...await expireStalePromotions()];
+    const uniqueDates = [...new Set(dates.map(d => new Date(d).getTime()))];
+    for (const time of uniqueDates) {
+      await promoteFromWaitlist(new Date(time));
+    }
+  } catch (error) {
+    console.error('Error promoting waitlist entries:', error);
+  }
+};
+
+module.exports = {
+  PROMOTION_HOLD_MINUTES,
+  expireStalePromotions,
+  expirePastEntries,
+  promoteFromWaitlist,
+  handleFreedCapacity
+};